@@ -0,0 +1,32 @@
+// Sentry must be initialized before express and the other modules it
+// instruments are required, so server.js loads this file first.
+require('dotenv').config();
+const fs = require('fs');
+const Sentry = require('@sentry/node');
+
+// Stub transport for local testing: envelopes are written as JSON lines to
+// SENTRY_STUB_OUTPUT (or stdout) instead of being sent to Sentry. Pair it with
+// any well-formed DSN, e.g. http://public@localhost/1.
+function stubTransport(options) {
+  const output = process.env.SENTRY_STUB_OUTPUT;
+
+  return Sentry.createTransport(options, (request) => {
+    const line = `${Buffer.from(request.body).toString('utf8').replace(/\n/g, ' ')}\n`;
+    if (output) {
+      fs.appendFileSync(output, line);
+    } else {
+      process.stdout.write(`[sentry-stub] ${line}`);
+    }
+    return Promise.resolve({ statusCode: 200 });
+  });
+}
+
+Sentry.init({
+  dsn: process.env.SENTRY_DSN,
+  environment: process.env.NODE_ENV || 'development',
+  // Trace every request by default, matching the frontend
+  tracesSampleRate: Number(process.env.SENTRY_TRACES_SAMPLE_RATE || 1.0),
+  // Needed for the "sentry" sink in LOG_SINKS (see lib/logger.js)
+  enableLogs: true,
+  ...(process.env.SENTRY_STUB_TRANSPORT === 'true' && { transport: stubTransport }),
+});
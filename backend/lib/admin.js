@@ -0,0 +1,71 @@
+const { requireAuth } = require('./auth');
+const { sendError } = require('./errors');
+const { logger } = require('./logger');
+
+// Accounts whose emails are listed in ADMIN_EMAILS (comma separated) get the
+// admin role when the server starts. Registering never grants it: emails aren't
+// verified, so anyone could sign up with a listed address before its owner.
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '')
+  .split(',')
+  .map((email) => email.trim().toLowerCase())
+  .filter(Boolean);
+
+// Promote existing accounts listed in ADMIN_EMAILS
+function promoteConfiguredAdmins(db) {
+  if (ADMIN_EMAILS.length === 0) return;
+
+  const placeholders = ADMIN_EMAILS.map(() => '?').join(', ');
+  db.run(
+    `UPDATE users SET role = 'admin' WHERE email IN (${placeholders})`,
+    ADMIN_EMAILS,
+    function (err) {
+      if (err) {
+        return logger.error('Error promoting admins', { operation: 'promoteConfiguredAdmins', error: err });
+      }
+      logger.info('Promoted configured admins', {
+        operation: 'promoteConfiguredAdmins',
+        configured: ADMIN_EMAILS.length,
+        promoted: this.changes,
+      });
+    }
+  );
+}
+
+// Middleware chain: require a signed-in user whose role is admin. The role is
+// read from the database on every request so demotions take effect at once.
+function requireAdmin(db) {
+  return [
+    requireAuth,
+    (req, res, next) => {
+      db.get('SELECT role FROM users WHERE id = ?', [req.user.id], (err, user) => {
+        if (err) {
+          req.log.error('Error checking user role', { operation: 'requireAdmin', error: err });
+          return sendError(res, 'internal_error', 'Failed to check permissions');
+        }
+        if (!user || user.role !== 'admin') {
+          return sendError(res, 'forbidden', 'Admin access required', {
+            operation: `${req.method} ${req.path}`,
+          });
+        }
+
+        req.user.role = user.role;
+        next();
+      });
+    },
+  ];
+}
+
+// Record who ran an admin operation. Failures are logged but never fail the
+// operation itself, which has already happened by the time this runs.
+function recordAudit(db, req, action, details = {}) {
+  const query = `INSERT INTO audit_log (user_id, action, details) VALUES (?, ?, ?)`;
+  db.run(query, [req.user.id, action, JSON.stringify(details)], (err) => {
+    if (err) req.log.error('Error recording audit entry', { operation: 'recordAudit', action, error: err });
+  });
+}
+
+module.exports = {
+  promoteConfiguredAdmins,
+  requireAdmin,
+  recordAudit,
+};
@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { sendError } = require('./errors');
+const { logger } = require('./logger');
+
+// Access tokens are short-lived; clients renew them with a refresh token
+const TOKEN_TTL = process.env.JWT_EXPIRES_IN || '15m';
+
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+if (!Number.isInteger(REFRESH_TOKEN_TTL_DAYS) || REFRESH_TOKEN_TTL_DAYS < 1) {
+  throw new Error(
+    `Invalid REFRESH_TOKEN_TTL_DAYS "${process.env.REFRESH_TOKEN_TTL_DAYS}", expected a whole number of days`
+  );
+}
+const REFRESH_TOKEN_BYTES = 32;
+
+// Fall back to a per-process secret so the server still starts in development.
+// Tokens signed with it stop verifying as soon as the server restarts.
+const TOKEN_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.JWT_SECRET) {
+  logger.warn('JWT_SECRET is not set, using a random secret for this process');
+}
+
+const SALT_BYTES = 16;
+const KEY_LENGTH = 64;
+
+// Hash a password with a fresh random salt using scrypt
+function hashPassword(password, callback) {
+  const salt = crypto.randomBytes(SALT_BYTES).toString('hex');
+  crypto.scrypt(password, salt, KEY_LENGTH, (err, derivedKey) => {
+    if (err) return callback(err);
+    callback(null, { salt, hash: derivedKey.toString('hex') });
+  });
+}
+
+// Compare a password against a stored salt and hash in constant time
+function verifyPassword(password, salt, hash, callback) {
+  crypto.scrypt(password, salt, KEY_LENGTH, (err, derivedKey) => {
+    if (err) return callback(err);
+    const expected = Buffer.from(hash, 'hex');
+    const matches = expected.length === derivedKey.length
+      && crypto.timingSafeEqual(expected, derivedKey);
+    callback(null, matches);
+  });
+}
+
+function signToken(user) {
+  return jwt.sign({ sub: String(user.id), email: user.email }, TOKEN_SECRET, {
+    expiresIn: TOKEN_TTL,
+  });
+}
+
+// Returns the decoded payload, or null when the token is invalid or expired
+function verifyToken(token) {
+  try {
+    return jwt.verify(token, TOKEN_SECRET);
+  } catch (err) {
+    return null;
+  }
+}
+
+// Refresh tokens are random strings; only their hash is stored, so a leaked
+// database can't be used to mint sessions
+function hashRefreshToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Store a new refresh token for a user and call back with it
+function issueRefreshToken(db, userId, callback) {
+  const token = crypto.randomBytes(REFRESH_TOKEN_BYTES).toString('base64url');
+  const query = `
+    INSERT INTO refresh_tokens (token_hash, user_id, expires_at)
+    VALUES (?, ?, datetime('now', ?))
+  `;
+  db.run(query, [hashRefreshToken(token), userId, `+${REFRESH_TOKEN_TTL_DAYS} days`], (err) => {
+    if (err) return callback(err);
+    callback(null, token);
+  });
+}
+
+// Exchange a refresh token for a new one. Calls back with the token's user and
+// the replacement, or with null when the token is unknown, revoked or expired.
+// The old token stops working either way, so a stolen one is only good once.
+function rotateRefreshToken(db, token, callback) {
+  const tokenHash = hashRefreshToken(token);
+  const query = `
+    SELECT users.id, users.email
+    FROM refresh_tokens
+    JOIN users ON users.id = refresh_tokens.user_id
+    WHERE refresh_tokens.token_hash = ? AND refresh_tokens.expires_at > datetime('now')
+  `;
+  db.get(query, [tokenHash], (err, user) => {
+    if (err) return callback(err);
+
+    // Deleting first means a concurrent rotation of the same token can't win too
+    db.run('DELETE FROM refresh_tokens WHERE token_hash = ?', [tokenHash], function (err) {
+      if (err) return callback(err);
+      if (!user || this.changes === 0) return callback(null, null);
+
+      issueRefreshToken(db, user.id, (err, refreshToken) => {
+        if (err) return callback(err);
+        callback(null, { user, refreshToken });
+      });
+    });
+  });
+}
+
+// Forget a refresh token, e.g. on logout, and prune expired ones
+function revokeRefreshToken(db, token, callback) {
+  db.run('DELETE FROM refresh_tokens WHERE token_hash = ?', [hashRefreshToken(token)], (err) => {
+    if (err) return callback(err);
+    db.run(`DELETE FROM refresh_tokens WHERE expires_at <= datetime('now')`, callback);
+  });
+}
+
+function readBearerToken(req) {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+// Middleware: reject the request unless it carries a valid bearer token
+function requireAuth(req, res, next) {
+  const token = readBearerToken(req);
+  if (!token) {
+    return sendError(res, 'authentication_required', 'Authentication required');
+  }
+
+  const payload = verifyToken(token);
+  if (!payload) {
+    return sendError(res, 'session_expired', 'Session expired, refresh the access token');
+  }
+
+  req.user = { id: Number(payload.sub), email: payload.email };
+  next();
+}
+
+// Middleware: attach req.user when a valid token is present. Anonymous
+// requests pass, but an expired or invalid token is rejected so the client
+// refreshes it instead of silently getting anonymous results.
+function optionalAuth(req, res, next) {
+  const token = readBearerToken(req);
+  if (!token) {
+    req.user = null;
+    return next();
+  }
+
+  const payload = verifyToken(token);
+  if (!payload) {
+    return sendError(res, 'session_expired', 'Session expired, refresh the access token');
+  }
+
+  req.user = { id: Number(payload.sub), email: payload.email };
+  next();
+}
+
+function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  signToken,
+  verifyToken,
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  requireAuth,
+  optionalAuth,
+  normalizeEmail,
+};
@@ -0,0 +1,239 @@
+const { runInTransaction } = require('./db');
+const { sendError } = require('./errors');
+const { scoreSql } = require('./scoring');
+const { decodeCursor } = require('./pagination');
+
+// Orders for listing cats, as SQL expressions over the per-cat tally columns.
+// Every order is descending with the cat id as an ascending tiebreak. The
+// names are listed again in the fetchCats schema in shared/schemas.json.
+const CAT_SORTS = {
+  // The configured scoring policy, also used to pick winners
+  top: scoreSql,
+  // Lots of votes, split evenly between up and down
+  controversial: `
+    CASE WHEN upvotes = 0 OR downvotes = 0 THEN 0
+    ELSE (upvotes + downvotes) * (MIN(upvotes, downvotes) * 1.0 / MAX(upvotes, downvotes)) END
+  `,
+  newest: 'created_at',
+  net: 'upvotes - downvotes',
+  // Net score counting only votes cast in the last `days` days
+  trending: 'recent_upvotes - recent_downvotes',
+};
+
+// SQLite stores CURRENT_TIMESTAMP as "YYYY-MM-DD HH:MM:SS" in UTC
+function toSqliteTimestamp(date) {
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+// Reasons a submitted cat cannot be stored, empty when it is valid.
+// Plain http URLs are only accepted with `allowInsecureUrls`.
+function validateCat(cat, { allowInsecureUrls = false } = {}) {
+  if (!cat || typeof cat !== 'object') {
+    return ['cat must be an object'];
+  }
+
+  const reasons = [];
+  if (cat.id === undefined || cat.id === null || cat.id === '') {
+    reasons.push('missing id');
+  }
+  if (typeof cat.url !== 'string' || cat.url === '') {
+    reasons.push('missing url');
+  } else {
+    let url = null;
+    try {
+      url = new URL(cat.url);
+    } catch (err) {
+      reasons.push('invalid url');
+    }
+    const allowed = allowInsecureUrls ? ['https:', 'http:'] : ['https:'];
+    if (url && !allowed.includes(url.protocol)) {
+      reasons.push('url must use https');
+    }
+  }
+  return reasons;
+}
+
+// Insert a batch of `{ id, url }` cats in a single transaction.
+//
+// Calls back with the items that were inserted, the duplicates by external id,
+// and the ones rejected with their validation reasons. A database error rolls
+// back the whole batch.
+function insertCats(db, cats, options, callback) {
+  const inserted = [];
+  const duplicates = [];
+  const rejected = [];
+  const valid = [];
+
+  cats.forEach((cat, index) => {
+    const reasons = validateCat(cat, options);
+    if (reasons.length > 0) {
+      rejected.push({ index, external_id: cat && cat.id, reasons });
+    } else {
+      valid.push({ index, cat });
+    }
+  });
+
+  if (valid.length === 0) {
+    return callback(null, { inserted, duplicates, rejected });
+  }
+
+  const query = `INSERT OR IGNORE INTO cats (image_url, external_id) VALUES (?, ?)`;
+
+  runInTransaction(db, (tx, done) => {
+    const insertNext = (position) => {
+      if (position === valid.length) return done(null);
+
+      const { index, cat } = valid[position];
+      const externalId = String(cat.id);
+      tx.run(query, [cat.url, externalId], function (err) {
+        if (err) return done(err);
+
+        if (this.changes === 0) {
+          duplicates.push({ index, external_id: externalId });
+        } else {
+          inserted.push({ index, external_id: externalId, id: this.lastID });
+        }
+        insertNext(position + 1);
+      });
+    };
+
+    insertNext(0);
+  }, (err) => {
+    if (err) return callback(err);
+    callback(null, { inserted, duplicates, rejected });
+  });
+}
+
+// Turn the /api/cats query, already checked against the fetchCats schema in
+// shared/schemas.json (which also fills in the defaults), into list options.
+// Returns `{ options }`, or the error `{ code, message }` describing why the
+// query can't be served.
+function parseListOptions(query, user) {
+  const { sort, limit, days, unvoted } = query;
+
+  let cursor = null;
+  if (query.cursor !== undefined) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor || cursor.sort !== sort) {
+      return { code: 'validation_failed', message: 'Invalid cursor' };
+    }
+  }
+
+  if (unvoted && !user) {
+    return { code: 'authentication_required', message: 'Sign in to filter by cats you have not voted on' };
+  }
+
+  const minVotes = query.min_votes === undefined ? null : query.min_votes;
+  const since = query.since === undefined ? null : toSqliteTimestamp(new Date(query.since));
+
+  return {
+    options: { sort, limit, cursor, days, unvoted, minVotes, since },
+  };
+}
+
+// Build the SQL for one page of cats. Each row carries a `sort_value` used to
+// build the next cursor.
+function buildListQuery(options, userId) {
+  const { sort, limit, cursor, days, unvoted, minVotes, since } = options;
+  const params = [`-${days} days`, `-${days} days`, userId];
+  const conditions = [];
+
+  if (unvoted) {
+    conditions.push('my_vote IS NULL');
+  }
+  if (minVotes !== null) {
+    conditions.push('upvotes + downvotes >= ?');
+    params.push(minVotes);
+  }
+  if (since) {
+    conditions.push('created_at >= ?');
+    params.push(since);
+  }
+  if (cursor) {
+    conditions.push('(sort_value < ? OR (sort_value = ? AND id > ?))');
+    params.push(cursor.value, cursor.value, cursor.id);
+  }
+  // Fetch one extra row to learn whether another page follows
+  params.push(limit + 1);
+
+  const sql = `
+    SELECT * FROM (
+      SELECT *, ${scoreSql} as score, ${CAT_SORTS[sort]} as sort_value
+      FROM (
+        SELECT 
+          cats.id,
+          cats.image_url,
+          cats.created_at,
+          SUM(CASE WHEN votes.vote_type = 'upvote' THEN 1 ELSE 0 END) as upvotes,
+          SUM(CASE WHEN votes.vote_type = 'downvote' THEN 1 ELSE 0 END) as downvotes,
+          SUM(CASE WHEN votes.vote_type = 'upvote'
+            AND votes.created_at >= datetime('now', ?) THEN 1 ELSE 0 END) as recent_upvotes,
+          SUM(CASE WHEN votes.vote_type = 'downvote'
+            AND votes.created_at >= datetime('now', ?) THEN 1 ELSE 0 END) as recent_downvotes,
+          MAX(CASE WHEN votes.user_id = ? THEN votes.vote_type END) as my_vote
+        FROM cats
+        LEFT JOIN votes ON cats.id = votes.cat_id
+        GROUP BY cats.id
+      )
+    )
+    ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY sort_value DESC, id ASC
+    LIMIT ?
+  `;
+
+  return { sql, params };
+}
+
+// Middleware: answer 404 unless the cat in the body's `cat_id` exists, so a
+// vote for a missing cat is refused before it reaches the foreign key. Runs
+// after validation, which makes sure `cat_id` is an integer.
+function requireExistingCat(db) {
+  return (req, res, next) => {
+    db.get('SELECT id FROM cats WHERE id = ?', [req.body.cat_id], (err, cat) => {
+      if (err) {
+        req.log.error('Error looking up cat', { operation: 'requireExistingCat', error: err });
+        return sendError(res, 'internal_error', 'Failed to look up cat');
+      }
+      if (!cat) {
+        return sendError(res, 'not_found', 'Cat not found', {
+          fields: [{ in: 'body', field: 'cat_id', message: 'does not exist' }],
+        });
+      }
+      next();
+    });
+  };
+}
+
+// Current tallies for a single cat, including `userId`'s own vote. Calls back
+// with null when the cat does not exist.
+function getCatTally(db, catId, userId, callback) {
+  const query = `
+    SELECT *, ${scoreSql} as score
+    FROM (
+      SELECT 
+        cats.id,
+        SUM(CASE WHEN votes.vote_type = 'upvote' THEN 1 ELSE 0 END) as upvotes,
+        SUM(CASE WHEN votes.vote_type = 'downvote' THEN 1 ELSE 0 END) as downvotes,
+        MAX(CASE WHEN votes.user_id = ? THEN votes.vote_type END) as my_vote
+      FROM cats
+      LEFT JOIN votes ON cats.id = votes.cat_id
+      WHERE cats.id = ?
+      GROUP BY cats.id
+    )
+  `;
+
+  db.get(query, [userId, catId], (err, row) => {
+    if (err) return callback(err);
+    callback(null, row || null);
+  });
+}
+
+module.exports = {
+  CAT_SORTS,
+  parseListOptions,
+  buildListQuery,
+  getCatTally,
+  requireExistingCat,
+  validateCat,
+  insertCats,
+};
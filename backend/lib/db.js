@@ -0,0 +1,175 @@
+const Sentry = require('@sentry/node');
+const { logger } = require('./logger');
+
+// Short span name for a statement: whitespace collapsed, truncated
+function describeQuery(sql) {
+  return sql.trim().replace(/\s+/g, ' ').slice(0, 120);
+}
+
+// Every query and transaction on a database is scheduled through its gate.
+// Queries run side by side, but a transaction runs alone: it waits for the
+// queries in flight to finish, and queries issued while it is open wait for
+// its COMMIT or ROLLBACK. Otherwise another request's writes would land inside
+// the transaction (and be undone by its ROLLBACK), and a second BEGIN on the
+// shared connection would fail with "cannot start a transaction within a
+// transaction". Work is started in the order it was issued.
+function createGate() {
+  return { inFlight: 0, exclusive: false, waiting: [] };
+}
+
+function canStart(gate, task) {
+  return !gate.exclusive && (!task.exclusive || gate.inFlight === 0);
+}
+
+function startTask(gate, task) {
+  if (task.exclusive) {
+    gate.exclusive = true;
+  } else {
+    gate.inFlight += 1;
+  }
+
+  let released = false;
+  task.run(() => {
+    if (released) return;
+    released = true;
+    if (task.exclusive) {
+      gate.exclusive = false;
+    } else {
+      gate.inFlight -= 1;
+    }
+    while (gate.waiting.length > 0 && canStart(gate, gate.waiting[0])) {
+      startTask(gate, gate.waiting.shift());
+    }
+  });
+}
+
+// Run `run(release)` once the gate allows it; `release` must be called when
+// the work is finished
+function schedule(gate, exclusive, run) {
+  const task = { exclusive, run };
+  if (gate.waiting.length === 0 && canStart(gate, task)) {
+    startTask(gate, task);
+  } else {
+    gate.waiting.push(task);
+  }
+}
+
+const gates = new WeakMap();
+
+// Wrap db.run/get/all so every query runs in a `db.query` span that is a child
+// of the request's span, and is scheduled through the database's gate. The
+// callback is invoked with the same `this` (for lastID/changes) and with the
+// caller's span active again, so queries issued from inside a callback nest
+// under the same request.
+function instrumentDatabase(db) {
+  const gate = createGate();
+  const queries = {};
+
+  ['run', 'get', 'all'].forEach((method) => {
+    const original = db[method].bind(db);
+
+    // Run the query now, calling `release` once it has finished
+    queries[method] = (sql, args, release) => {
+      const parent = Sentry.getActiveSpan();
+      const callbackIndex = args.findIndex((arg) => typeof arg === 'function');
+      const callback = callbackIndex === -1 ? null : args[callbackIndex];
+
+      return Sentry.startSpanManual({
+        name: describeQuery(sql),
+        op: 'db.query',
+        attributes: {
+          'db.system': 'sqlite',
+          'db.operation': method,
+          'db.statement': sql,
+        },
+      }, (span) => {
+        const wrapped = function (err, ...results) {
+          if (err) {
+            span.setStatus({ code: 2, message: err.code || 'internal_error' });
+          }
+          span.end();
+          release();
+          if (!callback) {
+            // sqlite3 would have emitted this as an 'error' event
+            if (err) logger.error('Database error', { operation: 'dbQuery', query: describeQuery(sql), error: err });
+            return undefined;
+          }
+          return parent
+            ? Sentry.withActiveSpan(parent, () => callback.call(this, err, ...results))
+            : callback.call(this, err, ...results);
+        };
+
+        const callArgs = [...args];
+        if (callbackIndex === -1) {
+          callArgs.push(wrapped);
+        } else {
+          callArgs[callbackIndex] = wrapped;
+        }
+        return original(sql, ...callArgs);
+      });
+    };
+
+    db[method] = (sql, ...args) => {
+      schedule(gate, false, (release) => queries[method](sql, args, release));
+      return db;
+    };
+  });
+
+  gates.set(db, { gate, queries });
+  return db;
+}
+
+// Run `work` inside a transaction on a database wrapped by instrumentDatabase.
+// `work` receives `tx`, with the same run/get/all as the database, and a
+// `done(err, result)` callback. Its queries must go through `tx`: anything
+// issued on `db` itself waits until the transaction has finished. The
+// transaction is committed when `work` succeeds and rolled back when it (or
+// the COMMIT) fails, then `callback` receives the same error or result.
+function runInTransaction(db, work, callback) {
+  const { gate, queries } = gates.get(db) || {};
+  if (!gate) {
+    throw new Error('runInTransaction needs a database wrapped by instrumentDatabase');
+  }
+
+  schedule(gate, true, (release) => {
+    const tx = {};
+    ['run', 'get', 'all'].forEach((method) => {
+      tx[method] = (sql, ...args) => {
+        queries[method](sql, args, () => {});
+        return tx;
+      };
+    });
+
+    const rollback = (err) => {
+      tx.run('ROLLBACK', (rollbackErr) => {
+        if (rollbackErr) {
+          logger.error('Error rolling back transaction', { operation: 'runInTransaction', error: rollbackErr });
+        }
+        release();
+        callback(err);
+      });
+    };
+
+    tx.run('BEGIN TRANSACTION', (err) => {
+      if (err) {
+        release();
+        return callback(err);
+      }
+
+      work(tx, (workErr, result) => {
+        if (workErr) return rollback(workErr);
+
+        tx.run('COMMIT', (err) => {
+          if (err) return rollback(err);
+          release();
+          callback(null, result);
+        });
+      });
+    });
+  });
+}
+
+module.exports = {
+  instrumentDatabase,
+  runInTransaction,
+};
@@ -0,0 +1,62 @@
+// Every failed request is answered with the same JSON envelope:
+//
+//   { "error": { "code": "validation_failed", "message": "...", "details": { ... } } }
+//
+// `code` is stable for clients to branch on, `message` is meant for people and
+// may change, and `details` (only present when there is something to add)
+// carries structured extras such as the rejected items of a batch.
+
+// HTTP status sent with each error code
+const ERROR_STATUS = {
+  validation_failed: 400,
+  invalid_json: 400,
+  authentication_required: 401,
+  invalid_credentials: 401,
+  session_expired: 401,
+  forbidden: 403,
+  not_found: 404,
+  email_taken: 409,
+  request_in_progress: 409,
+  internal_error: 500,
+  upstream_failed: 502,
+};
+
+function sendError(res, code, message, details) {
+  const status = ERROR_STATUS[code];
+  if (!status) {
+    throw new Error(`Unknown error code "${code}", expected one of: ${Object.keys(ERROR_STATUS).join(', ')}`);
+  }
+
+  const error = { code, message };
+  if (details !== undefined) {
+    error.details = details;
+  }
+  return res.status(status).json({ error });
+}
+
+// Middleware: answer requests that matched no route
+function notFoundHandler(req, res) {
+  sendError(res, 'not_found', `No route for ${req.method} ${req.baseUrl}${req.path}`);
+}
+
+// Error middleware, installed last: answer malformed JSON bodies and errors
+// thrown by routes with the envelope instead of Express's HTML page. Sentry's
+// error handler runs first and has already captured server errors.
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) {
+    return next(err);
+  }
+  if (err.type === 'entity.parse.failed') {
+    return sendError(res, 'invalid_json', 'Request body is not valid JSON');
+  }
+
+  req.log.error('Unhandled route error', { operation: 'httpRequest', error: err });
+  sendError(res, 'internal_error', 'Something went wrong');
+}
+
+module.exports = {
+  ERROR_STATUS,
+  sendError,
+  notFoundHandler,
+  errorHandler,
+};
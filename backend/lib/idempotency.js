@@ -0,0 +1,114 @@
+const { sendError } = require('./errors');
+
+// How long a stored response can be replayed for a repeated Idempotency-Key
+const KEY_TTL = '-7 days';
+const MAX_KEY_LENGTH = 128;
+
+// A claimed key whose response isn't stored yet has status 0. Claims older
+// than PENDING_TTL were left by a server that stopped mid-request.
+const PENDING_STATUS = 0;
+const PENDING_TTL = '-1 minutes';
+
+// How long a repeated request waits for the first one to finish, checking
+// every WAIT_INTERVAL_MS, before giving up with request_in_progress
+const MAX_WAIT_MS = 10000;
+const WAIT_INTERVAL_MS = 100;
+
+// Middleware: make a route safe to retry with an Idempotency-Key header.
+//
+// The key is claimed for the user before the handler runs, and the first
+// response (below 500) is stored against it; a 5xx releases the claim so the
+// request can be retried. A later request with the same key gets the stored
+// response back instead of running the handler again. One that arrives while
+// the first is still running (e.g. a client retrying after a timeout) waits
+// for its response. Must come after requireAuth. Requests without the header
+// are handled normally.
+function idempotent(db) {
+  return (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (!key) return next();
+
+    if (key.length > MAX_KEY_LENGTH) {
+      return sendError(res, 'validation_failed', `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`);
+    }
+
+    const started = Date.now();
+    const fail = (message, err) => {
+      req.log.error(message, { operation: 'idempotent', error: err });
+      sendError(res, 'internal_error', 'Failed to check Idempotency-Key');
+    };
+
+    const claim = () => {
+      const insert = `
+        INSERT OR IGNORE INTO idempotency_keys (user_id, key, status, body) VALUES (?, ?, ?, '')
+      `;
+      db.run(insert, [req.user.id, key, PENDING_STATUS], function (err) {
+        if (err) return fail('Error claiming idempotency key', err);
+        if (this.changes === 1) return handle();
+
+        const lookup = `SELECT status, body FROM idempotency_keys WHERE user_id = ? AND key = ?`;
+        db.get(lookup, [req.user.id, key], (err, stored) => {
+          if (err) return fail('Error reading idempotency key', err);
+          // Released by a request that failed since; claim it again
+          if (!stored) return claim();
+
+          if (stored.status !== PENDING_STATUS) {
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(stored.status).json(JSON.parse(stored.body));
+          }
+          if (Date.now() - started >= MAX_WAIT_MS) {
+            return sendError(res, 'request_in_progress', 'A request with this Idempotency-Key is still being processed');
+          }
+          setTimeout(claim, WAIT_INTERVAL_MS);
+        });
+      });
+    };
+
+    // Run the route, storing its response against the claimed key
+    const handle = () => {
+      let settled = false;
+      const sendJson = res.json.bind(res);
+      res.json = (body) => {
+        settled = true;
+        if (res.statusCode < 500) {
+          storeResponse(db, req, key, res.statusCode, body);
+        } else {
+          releaseKey(db, req, key);
+        }
+        return sendJson(body);
+      };
+      // Responses sent some other way aren't stored
+      res.on('finish', () => {
+        if (!settled) releaseKey(db, req, key);
+      });
+      next();
+    };
+
+    const prune = `DELETE FROM idempotency_keys WHERE status = ? AND created_at < datetime('now', ?)`;
+    db.run(prune, [PENDING_STATUS, PENDING_TTL], (err) => {
+      if (err) return fail('Error pruning abandoned idempotency keys', err);
+      claim();
+    });
+  };
+}
+
+function storeResponse(db, req, key, status, body) {
+  const update = `UPDATE idempotency_keys SET status = ?, body = ? WHERE user_id = ? AND key = ?`;
+  db.run(update, [status, JSON.stringify(body), req.user.id, key], (err) => {
+    if (err) req.log.error('Error storing idempotency key', { operation: 'idempotent', error: err });
+  });
+  db.run(`DELETE FROM idempotency_keys WHERE created_at < datetime('now', ?)`, [KEY_TTL], (err) => {
+    if (err) req.log.error('Error pruning idempotency keys', { operation: 'idempotent', error: err });
+  });
+}
+
+function releaseKey(db, req, key) {
+  const release = `DELETE FROM idempotency_keys WHERE user_id = ? AND key = ? AND status = ?`;
+  db.run(release, [req.user.id, key, PENDING_STATUS], (err) => {
+    if (err) req.log.error('Error releasing idempotency key', { operation: 'idempotent', error: err });
+  });
+}
+
+module.exports = {
+  idempotent,
+};
@@ -0,0 +1,39 @@
+const { insertCats } = require('./cats');
+const { getProvider } = require('./providers');
+const { logger } = require('./logger');
+
+// Number of cats pulled in when seeding an empty database
+const SEED_COUNT = Number(process.env.SEED_COUNT) || 10;
+
+// Pull images from a provider and store them as cats. Calls back with the
+// insert results from `insertCats`.
+function ingestCats(db, provider, limit, callback) {
+  provider.fetchImages(limit, (err, images) => {
+    if (err) return callback(err);
+
+    insertCats(db, images, { allowInsecureUrls: provider.allowInsecureUrls }, callback);
+  });
+}
+
+// Seed the database from the default provider when it has no cats yet
+function seedIfEmpty(db) {
+  db.get('SELECT COUNT(*) as count FROM cats', [], (err, row) => {
+    if (err) return logger.error('Error counting cats', { operation: 'seedIfEmpty', error: err });
+    if (row.count > 0) return;
+
+    const provider = getProvider();
+    const log = logger.child({ operation: 'seedIfEmpty', provider: provider.name });
+    const start = Date.now();
+    log.info('Database empty, seeding cats', { count: SEED_COUNT });
+
+    ingestCats(db, provider, SEED_COUNT, (err, result) => {
+      if (err) return log.error('Error seeding cats', { error: err });
+      log.info('Seeded cats', { inserted: result.inserted.length, duration_ms: Date.now() - start });
+    });
+  });
+}
+
+module.exports = {
+  ingestCats,
+  seedIfEmpty,
+};
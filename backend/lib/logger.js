@@ -0,0 +1,121 @@
+// Structured JSON-lines logger. Attribute names follow the frontend's
+// Sentry.logger calls (`operation`, `duration_ms`, `errorMessage`, camelCase
+// elsewhere) so app and backend logs can be searched together.
+const crypto = require('crypto');
+const fs = require('fs');
+const Sentry = require('@sentry/node');
+
+const LEVELS = ['trace', 'debug', 'info', 'warn', 'error', 'fatal'];
+const SINKS = ['stdout', 'file', 'sentry'];
+
+const logLevel = process.env.LOG_LEVEL || 'info';
+const logSinks = (process.env.LOG_SINKS || 'stdout')
+  .split(',')
+  .map((sink) => sink.trim())
+  .filter(Boolean);
+const LOG_FILE = process.env.LOG_FILE || 'server.log';
+
+if (!LEVELS.includes(logLevel)) {
+  throw new Error(`Unknown LOG_LEVEL "${logLevel}", expected one of: ${LEVELS.join(', ')}`);
+}
+logSinks.forEach((sink) => {
+  if (!SINKS.includes(sink)) {
+    throw new Error(`Unknown log sink "${sink}" in LOG_SINKS, expected any of: ${SINKS.join(', ')}`);
+  }
+});
+
+const minLevel = LEVELS.indexOf(logLevel);
+const fileStream = logSinks.includes('file')
+  ? fs.createWriteStream(LOG_FILE, { flags: 'a' })
+  : null;
+
+// An Error passed as `error` is flattened into errorMessage/errorCode (sqlite
+// reports codes such as SQLITE_CONSTRAINT) so every sink gets plain values
+function flattenAttributes(attributes) {
+  const { error, ...rest } = attributes;
+  if (!error) return rest;
+  return {
+    ...rest,
+    errorMessage: error.message,
+    ...(error.code && { errorCode: error.code }),
+  };
+}
+
+function write(level, message, attributes) {
+  if (LEVELS.indexOf(level) < minLevel) return;
+
+  const flat = flattenAttributes(attributes);
+  const line = `${JSON.stringify({
+    timestamp: new Date().toISOString(),
+    level,
+    message,
+    ...flat,
+  })}\n`;
+
+  if (logSinks.includes('stdout')) process.stdout.write(line);
+  if (fileStream) fileStream.write(line);
+  if (logSinks.includes('sentry')) Sentry.logger[level](message, flat);
+}
+
+// Build a logger whose entries all carry `baseAttributes`
+function createLogger(baseAttributes = {}) {
+  const log = {
+    child: (attributes) => createLogger({ ...baseAttributes, ...attributes }),
+  };
+  LEVELS.forEach((level) => {
+    log[level] = (message, attributes = {}) => write(level, message, { ...baseAttributes, ...attributes });
+  });
+  return log;
+}
+
+const logger = createLogger();
+
+// Client-supplied request IDs are kept only if they are short and plain
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,128}$/;
+
+// Middleware: give each request an ID and a `req.log` child logger carrying
+// it, and log the request once the response is sent. 5xx responses are logged
+// as errors and 4xx as warnings.
+//
+// The ID is taken from the client's X-Request-Id header when present (the app
+// sends one per call), echoed back in the same header, and added to JSON error
+// bodies so a failure seen in the app can be found in the server logs. The
+// error envelope's code is logged as `errorCode`.
+function requestLogger(req, res, next) {
+  const start = Date.now();
+  const clientId = req.get('X-Request-Id');
+  req.id = clientId && REQUEST_ID_PATTERN.test(clientId) ? clientId : crypto.randomUUID();
+  req.log = logger.child({ requestId: req.id, method: req.method });
+  res.set('X-Request-Id', req.id);
+  Sentry.setTag('requestId', req.id);
+
+  let errorCode;
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body)) {
+      errorCode = body.error?.code;
+      return sendJson({ ...body, requestId: req.id });
+    }
+    return sendJson(body);
+  };
+
+  res.on('finish', () => {
+    const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+    req.log[level]('Request completed', {
+      // The matched route pattern (e.g. /api/winner), falling back to the path
+      route: req.route ? `${req.baseUrl}${req.route.path}` : req.path,
+      statusCode: res.statusCode,
+      duration_ms: Date.now() - start,
+      operation: 'httpRequest',
+      ...(errorCode && { errorCode }),
+    });
+  });
+  next();
+}
+
+module.exports = {
+  LEVELS,
+  createLogger,
+  logger,
+  requestLogger,
+};
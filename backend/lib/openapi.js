@@ -0,0 +1,340 @@
+const { schemas } = require('./validation');
+const { ERROR_STATUS } = require('./errors');
+
+// OpenAPI description of every route in server.js, served at
+// /api/openapi.json. Request bodies, query strings and params come straight
+// from shared/schemas.json, so the document can't drift from what the
+// validation middleware enforces. operationIds match the schema names and the
+// app's client functions in frontend/src/services/client.js.
+
+const nullable = (schema) => ({ ...schema, nullable: true });
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const COMPONENTS = {
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: {
+        type: 'object',
+        required: ['code', 'message'],
+        properties: {
+          code: { type: 'string', enum: Object.keys(ERROR_STATUS) },
+          message: { type: 'string' },
+          details: { type: 'object' },
+        },
+      },
+      requestId: { type: 'string' },
+    },
+  },
+  Session: {
+    type: 'object',
+    required: ['userId', 'token', 'refreshToken'],
+    properties: {
+      userId: { type: 'integer' },
+      token: { type: 'string', description: 'Short-lived access token, sent as a Bearer token' },
+      refreshToken: { type: 'string', description: 'Exchanged for a new session at /api/auth/refresh' },
+    },
+  },
+  Success: {
+    type: 'object',
+    required: ['success'],
+    properties: {
+      success: { type: 'boolean' },
+      message: { type: 'string' },
+    },
+  },
+  Cat: {
+    type: 'object',
+    required: [
+      'id', 'image_url', 'created_at', 'upvotes', 'downvotes',
+      'recent_upvotes', 'recent_downvotes', 'my_vote', 'score',
+    ],
+    properties: {
+      id: { type: 'integer' },
+      image_url: { type: 'string' },
+      created_at: { type: 'string' },
+      upvotes: { type: 'integer' },
+      downvotes: { type: 'integer' },
+      recent_upvotes: { type: 'integer' },
+      recent_downvotes: { type: 'integer' },
+      my_vote: nullable({ type: 'string', enum: ['upvote', 'downvote'] }),
+      score: { type: 'number' },
+    },
+  },
+  CatPage: {
+    type: 'object',
+    required: ['cats', 'nextCursor'],
+    properties: {
+      cats: { type: 'array', items: ref('Cat') },
+      nextCursor: nullable({ type: 'string' }),
+    },
+  },
+  CatTally: {
+    type: 'object',
+    required: ['id', 'upvotes', 'downvotes', 'my_vote', 'score'],
+    properties: {
+      id: { type: 'integer' },
+      upvotes: { type: 'integer' },
+      downvotes: { type: 'integer' },
+      my_vote: nullable({ type: 'string', enum: ['upvote', 'downvote'] }),
+      score: { type: 'number' },
+    },
+  },
+  VoteResult: {
+    type: 'object',
+    required: ['success', 'message', 'cat'],
+    properties: {
+      success: { type: 'boolean' },
+      message: { type: 'string' },
+      vote: {
+        type: 'object',
+        properties: {
+          cat_id: { type: 'integer' },
+          vote_type: { type: 'string', enum: ['upvote', 'downvote'] },
+        },
+      },
+      cat: ref('CatTally'),
+    },
+  },
+  MonthlyCat: {
+    type: 'object',
+    required: ['id', 'image_url', 'month_year', 'upvote_count', 'downvote_count', 'score'],
+    properties: {
+      id: { type: 'integer' },
+      image_url: nullable({ type: 'string' }),
+      month_year: { type: 'string', format: 'month' },
+      upvote_count: { type: 'integer' },
+      downvote_count: { type: 'integer' },
+      score: nullable({ type: 'number' }),
+    },
+  },
+  BatchResult: {
+    type: 'object',
+    required: ['success', 'inserted', 'duplicates', 'rejected'],
+    properties: {
+      success: { type: 'boolean' },
+      provider: { type: 'string' },
+      inserted: { type: 'array', items: { type: 'object' } },
+      duplicates: { type: 'array', items: { type: 'object' } },
+      rejected: { type: 'array', items: { type: 'object' } },
+    },
+  },
+};
+
+// Query and route params of a schema as OpenAPI parameters
+function parametersFor(name) {
+  const schema = schemas[name] || {};
+  return ['params', 'query'].filter((part) => schema[part]).flatMap((part) => (
+    Object.entries(schema[part].properties).map(([param, property]) => ({
+      name: param,
+      in: part === 'params' ? 'path' : 'query',
+      required: part === 'params' || (schema[part].required || []).includes(param),
+      schema: property,
+    }))
+  ));
+}
+
+function jsonContent(schema) {
+  return { 'application/json': { schema } };
+}
+
+// One operation. `auth` is 'required', 'optional' or 'admin'; `status` is the
+// success status; every error code the operation can answer with is listed
+// under its status.
+function operation(operationId, summary, {
+  auth,
+  status = 200,
+  response,
+  nullableResponse = false,
+  errors = [],
+} = {}) {
+  const schema = schemas[operationId] || {};
+  const codes = [...errors, 'internal_error'];
+  if (schema.body || schema.query || schema.params) codes.unshift('validation_failed');
+  if (auth) codes.unshift('authentication_required', 'session_expired');
+  if (auth === 'admin') codes.unshift('forbidden');
+
+  const responses = {
+    [status]: {
+      description: 'Success',
+      content: jsonContent(nullableResponse ? nullable(response) : response),
+    },
+  };
+  codes.forEach((code) => {
+    const errorStatus = ERROR_STATUS[code];
+    const existing = responses[errorStatus];
+    responses[errorStatus] = {
+      description: existing ? `${existing.description}, ${code}` : code,
+      content: jsonContent(ref('Error')),
+    };
+  });
+
+  return {
+    operationId,
+    summary,
+    ...(auth && { security: auth === 'optional' ? [{}, { bearerAuth: [] }] : [{ bearerAuth: [] }] }),
+    parameters: parametersFor(operationId),
+    ...(schema.body && { requestBody: { required: true, content: jsonContent(schema.body) } }),
+    responses,
+  };
+}
+
+const PATHS = {
+  '/api/auth/register': {
+    post: operation('registerUser', 'Create an account and start a session', {
+      status: 201,
+      response: ref('Session'),
+      errors: ['email_taken'],
+    }),
+  },
+  '/api/auth/login': {
+    post: operation('loginUser', 'Start a session with email and password', {
+      response: ref('Session'),
+      errors: ['invalid_credentials'],
+    }),
+  },
+  '/api/auth/refresh': {
+    post: operation('refreshSession', 'Exchange a refresh token for a new session', {
+      response: ref('Session'),
+      errors: ['session_expired'],
+    }),
+  },
+  '/api/auth/logout': {
+    post: operation('logoutUser', 'Revoke a refresh token', { response: ref('Success') }),
+  },
+  '/api/cats': {
+    get: operation('fetchCats', 'List a page of cats with their votes', {
+      auth: 'optional',
+      response: ref('CatPage'),
+    }),
+    post: operation('addCats', 'Add cats directly', { auth: 'admin', response: ref('BatchResult') }),
+  },
+  '/api/winner': {
+    get: operation('fetchWinner', 'Get the winner of a month, or the latest winner', {
+      response: ref('MonthlyCat'),
+      nullableResponse: true,
+    }),
+  },
+  '/api/leader': {
+    get: operation('fetchLeader', "Get the current month's leader", {
+      response: ref('MonthlyCat'),
+      nullableResponse: true,
+    }),
+  },
+  '/api/winners': {
+    get: operation('fetchWinners', 'List past winners, newest first', {
+      response: { type: 'array', items: ref('MonthlyCat') },
+    }),
+  },
+  '/api/votes': {
+    post: operation('submitVote', 'Cast or change a vote', {
+      auth: 'required',
+      response: ref('VoteResult'),
+      errors: ['not_found', 'request_in_progress'],
+    }),
+  },
+  '/api/votes/{catId}': {
+    delete: operation('retractVote', 'Retract a vote', {
+      auth: 'required',
+      response: ref('VoteResult'),
+      errors: ['not_found'],
+    }),
+  },
+  '/api/admin/ingest': {
+    post: operation('ingestCats', 'Pull new cats from an image source', {
+      auth: 'admin',
+      response: ref('BatchResult'),
+      errors: ['upstream_failed'],
+    }),
+  },
+  '/api/admin/close-month': {
+    post: operation('closeMonth', 'Close a finished month and crown its winner', {
+      auth: 'admin',
+      response: {
+        type: 'object',
+        required: ['success', 'month', 'winner'],
+        properties: {
+          success: { type: 'boolean' },
+          month: { type: 'string', format: 'month' },
+          winner: nullable({ type: 'object' }),
+        },
+      },
+    }),
+  },
+  '/api/admin/cats/{id}': {
+    delete: operation('removeCat', 'Remove a cat with its votes and wins', {
+      auth: 'admin',
+      response: ref('Success'),
+      errors: ['not_found'],
+    }),
+  },
+  '/api/admin/audit-log': {
+    get: operation('fetchAuditLog', 'List recent admin operations', {
+      auth: 'admin',
+      response: { type: 'array', items: { type: 'object' } },
+    }),
+  },
+  '/api/clear': {
+    post: operation('clearDatabase', 'Delete all cats, votes and winners', {
+      auth: 'admin',
+      response: ref('Success'),
+    }),
+  },
+  '/api/health': {
+    get: operation('healthCheck', 'Check that the server is up', {
+      response: { type: 'object', properties: { status: { type: 'string' } } },
+    }),
+  },
+  '/api/openapi.json': {
+    get: operation('fetchOpenApi', 'This document', { response: { type: 'object' } }),
+  },
+};
+
+const openApiDocument = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Cat voting API',
+    version: require('../package.json').version,
+  },
+  paths: PATHS,
+  components: {
+    schemas: COMPONENTS,
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+    },
+  },
+};
+
+// Routes registered on the app as "METHOD /path", with Express's :params
+// written the OpenAPI way
+function registeredRoutes(app) {
+  return app._router.stack
+    .filter((layer) => layer.route)
+    .flatMap((layer) => Object.keys(layer.route.methods).map((method) => (
+      `${method.toUpperCase()} ${layer.route.path.replace(/:(\w+)/g, '{$1}')}`
+    )));
+}
+
+function documentedRoutes(document) {
+  return Object.entries(document.paths).flatMap(([path, methods]) => (
+    Object.keys(methods).map((method) => `${method.toUpperCase()} ${path}`)
+  ));
+}
+
+// Compare the app's routes with the document. Returns the routes missing from
+// the document and the documented routes the app doesn't have; both are empty
+// when they match.
+function checkRoutes(app, document = openApiDocument) {
+  const registered = registeredRoutes(app).filter((route) => route.includes(' /api/'));
+  const documented = documentedRoutes(document);
+  return {
+    undocumented: registered.filter((route) => !documented.includes(route)),
+    unimplemented: documented.filter((route) => !registered.includes(route)),
+  };
+}
+
+module.exports = {
+  openApiDocument,
+  checkRoutes,
+};
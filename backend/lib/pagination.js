@@ -0,0 +1,21 @@
+// Cursors are opaque to clients: base64url-encoded JSON of the sort order and
+// the sort value and id of the last item on the previous page.
+function encodeCursor(sort, value, id) {
+  return Buffer.from(JSON.stringify({ s: sort, v: value, id })).toString('base64url');
+}
+
+// Returns `{ sort, value, id }`, or null when the cursor is malformed
+function decodeCursor(cursor) {
+  try {
+    const { s, v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof s !== 'string' || !Number.isInteger(id) || v === undefined) return null;
+    return { sort: s, value: v, id };
+  } catch (err) {
+    return null;
+  }
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+};
@@ -0,0 +1,32 @@
+const path = require('path');
+const { createCatApiProvider } = require('./thecatapi');
+const { createLocalProvider } = require('./local');
+
+// Image sources the ingestion job can pull cats from. Each provider exposes
+// `fetchImages(limit, callback)` calling back with `[{ id, url }]`.
+const providers = {
+  thecatapi: createCatApiProvider({ apiKey: process.env.CAT_API_KEY }),
+  local: createLocalProvider({
+    directory: path.resolve(process.env.LOCAL_IMAGES_DIR || './images'),
+    baseUrl: process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`,
+  }),
+};
+
+const DEFAULT_PROVIDER = process.env.CAT_SOURCE || 'thecatapi';
+
+if (!providers[DEFAULT_PROVIDER]) {
+  throw new Error(
+    `Unknown CAT_SOURCE "${DEFAULT_PROVIDER}", expected one of: ${Object.keys(providers).join(', ')}`
+  );
+}
+
+// Look up a provider by name, falling back to CAT_SOURCE. Returns null for
+// unknown names.
+function getProvider(name = DEFAULT_PROVIDER) {
+  return providers[name] || null;
+}
+
+module.exports = {
+  providers,
+  getProvider,
+};
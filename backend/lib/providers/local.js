@@ -0,0 +1,35 @@
+const fs = require('fs');
+const path = require('path');
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp'];
+
+// Image source backed by a directory of files, for offline and development
+// use. The server exposes the directory under /images, so the image URLs
+// point back at this server and may be plain http.
+function createLocalProvider({ directory, baseUrl }) {
+  return {
+    name: 'local',
+    allowInsecureUrls: true,
+    directory,
+
+    fetchImages(limit, callback) {
+      fs.readdir(directory, (err, files) => {
+        if (err) return callback(err);
+
+        const images = files
+          .filter((file) => IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+          .map((file) => ({ file, sortKey: Math.random() }))
+          .sort((a, b) => a.sortKey - b.sortKey)
+          .slice(0, limit)
+          .map(({ file }) => ({
+            id: `local:${file}`,
+            url: `${baseUrl}/images/${encodeURIComponent(file)}`,
+          }));
+
+        callback(null, images);
+      });
+    },
+  };
+}
+
+module.exports = { createLocalProvider };
@@ -0,0 +1,35 @@
+const API_URL = 'https://api.thecatapi.com/v1/images/search';
+
+// Without an API key thecatapi.com caps a search at 10 images
+const MAX_LIMIT_WITHOUT_KEY = 10;
+const MAX_LIMIT_WITH_KEY = 100;
+
+// Image source backed by thecatapi.com. The API key, if any, stays on the
+// server and is never shipped to clients.
+function createCatApiProvider({ apiKey } = {}) {
+  const maxLimit = apiKey ? MAX_LIMIT_WITH_KEY : MAX_LIMIT_WITHOUT_KEY;
+
+  return {
+    name: 'thecatapi',
+    allowInsecureUrls: false,
+
+    fetchImages(limit, callback) {
+      const url = `${API_URL}?limit=${Math.min(limit, maxLimit)}`;
+      const headers = apiKey ? { 'x-api-key': apiKey } : {};
+
+      fetch(url, { headers })
+        .then((response) => {
+          if (!response.ok) {
+            throw new Error(`thecatapi.com responded with ${response.status}`);
+          }
+          return response.json();
+        })
+        .then((images) => {
+          callback(null, images.map((image) => ({ id: image.id, url: image.url })));
+        })
+        .catch((err) => callback(err));
+    },
+  };
+}
+
+module.exports = { createCatApiProvider };
@@ -0,0 +1,39 @@
+// Scoring policies rank cats for both /api/cats ordering and winner selection.
+// Each one is a SQL expression over `upvotes` and `downvotes` columns.
+const Z = 1.96; // 95% confidence for the Wilson interval
+
+const SCORING_POLICIES = {
+  // Upvotes minus downvotes
+  net: 'upvotes - downvotes',
+  // Upvotes only, downvotes are ignored
+  upvotes: 'upvotes',
+  // Lower bound of the Wilson score interval for the upvote ratio, which keeps
+  // a cat with 2 of 2 upvotes from outranking one with 95 of 100
+  wilson: `
+    CASE WHEN upvotes + downvotes = 0 THEN 0 ELSE (
+      (upvotes * 1.0 / (upvotes + downvotes)) + ${Z * Z} / (2.0 * (upvotes + downvotes))
+      - ${Z} * sqrt(
+        ((upvotes * 1.0 / (upvotes + downvotes)) * (downvotes * 1.0 / (upvotes + downvotes))
+          + ${Z * Z} / (4.0 * (upvotes + downvotes)))
+        / (upvotes + downvotes)
+      )
+    ) / (1 + ${Z * Z} / (upvotes + downvotes)) END
+  `,
+};
+
+const scoringPolicy = process.env.SCORING_POLICY || 'upvotes';
+
+if (!SCORING_POLICIES[scoringPolicy]) {
+  throw new Error(
+    `Unknown SCORING_POLICY "${scoringPolicy}", expected one of: ${Object.keys(SCORING_POLICIES).join(', ')}`
+  );
+}
+
+// SQL expression computing the configured score from `upvotes` and `downvotes`
+const scoreSql = SCORING_POLICIES[scoringPolicy];
+
+module.exports = {
+  SCORING_POLICIES,
+  scoringPolicy,
+  scoreSql,
+};
@@ -0,0 +1,43 @@
+const schemas = require('../../shared/schemas.json');
+const { validate } = require('../../shared/validate');
+const { sendError } = require('./errors');
+
+// Request parts in the order they are checked and reported
+const PARTS = ['params', 'query', 'body'];
+
+// Middleware: check the request against the schema named `name` in
+// shared/schemas.json. Invalid requests get a validation_failed error with one
+// `{ in, field, message }` per problem in `details.fields`. Valid requests
+// continue with defaults filled in and query and params converted to their
+// schema types, so handlers can use them as they are.
+function validateRequest(name) {
+  const schema = schemas[name];
+  if (!schema) {
+    throw new Error(`No request schema named "${name}" in shared/schemas.json`);
+  }
+
+  return (req, res, next) => {
+    const fields = [];
+    const parsed = {};
+
+    PARTS.filter((part) => schema[part]).forEach((part) => {
+      // Only JSON bodies carry real types; query and params are strings
+      const { value, errors } = validate(schema[part], req[part], { coerce: part !== 'body' });
+      parsed[part] = value;
+      errors.forEach(({ field, message }) => fields.push({ in: part, field: field || part, message }));
+    });
+
+    if (fields.length > 0) {
+      const message = fields.map(({ field, message }) => `${field} ${message}`).join('; ');
+      return sendError(res, 'validation_failed', message, { fields });
+    }
+
+    Object.assign(req, parsed);
+    next();
+  };
+}
+
+module.exports = {
+  schemas,
+  validateRequest,
+};
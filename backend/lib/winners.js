@@ -0,0 +1,169 @@
+const { scoreSql } = require('./scoring');
+const { logger } = require('./logger');
+
+// How often the scheduler checks whether the previous month still needs closing
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+// YYYY-MM for the month containing `date` (UTC, matching CURRENT_TIMESTAMP)
+function monthOf(date) {
+  return date.toISOString().slice(0, 7);
+}
+
+function previousMonth(date = new Date()) {
+  return monthOf(new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() - 1, 1)));
+}
+
+// YYYY-MM for the month after `month` (also YYYY-MM)
+function nextMonth(month) {
+  const [year, number] = month.split('-').map(Number);
+  return monthOf(new Date(Date.UTC(year, number, 1)));
+}
+
+// When a vote's current value was cast: votes changed later (upvote flipped
+// to downvote) count in the month of the change, not of the first vote
+const VOTED_AT = 'COALESCE(updated_at, created_at)';
+
+// Find the cat leading a month from the votes cast during it.
+//
+// Each user has one vote per cat, counted in the month it was last cast or
+// changed. Cats are ranked by the configured scoring policy. Ties go to the cat with
+// more upvotes, then fewer downvotes, then the cat that reached its final
+// upvote count first, then the lowest cat id. Only cats with at least one
+// upvote that month qualify. Calls back with the leader, or null.
+function findMonthLeader(db, monthYear, callback) {
+  const query = `
+    SELECT *, ${scoreSql} as score
+    FROM (
+      SELECT
+        cat_id,
+        SUM(CASE WHEN vote_type = 'upvote' THEN 1 ELSE 0 END) as upvotes,
+        SUM(CASE WHEN vote_type = 'downvote' THEN 1 ELSE 0 END) as downvotes,
+        MAX(CASE WHEN vote_type = 'upvote' THEN ${VOTED_AT} END) as last_upvote_at
+      FROM votes
+      WHERE strftime('%Y-%m', ${VOTED_AT}) = ?
+      GROUP BY cat_id
+      HAVING upvotes > 0
+    )
+    ORDER BY score DESC, upvotes DESC, downvotes ASC, last_upvote_at ASC, cat_id ASC
+    LIMIT 1
+  `;
+
+  db.get(query, [monthYear], (err, leader) => {
+    if (err) return callback(err);
+    if (!leader) return callback(null, null);
+
+    callback(null, {
+      cat_id: leader.cat_id,
+      month_year: monthYear,
+      upvote_count: leader.upvotes,
+      downvote_count: leader.downvotes,
+      score: leader.score,
+    });
+  });
+}
+
+// Persist the leader of a finished month as its winner. Closing a month again
+// recomputes and replaces its winner from the votes as they stand, so votes
+// changed or retracted since then no longer count for it. Calls back with the winner, or null if
+// nobody upvoted anything that month.
+function closeMonth(db, monthYear, callback) {
+  findMonthLeader(db, monthYear, (err, winner) => {
+    if (err) return callback(err);
+    if (!winner) return callback(null, null);
+
+    const upsert = `
+      INSERT INTO monthly_winners (cat_id, month_year, upvote_count, downvote_count, score)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT (month_year) DO UPDATE SET
+        cat_id = excluded.cat_id,
+        upvote_count = excluded.upvote_count,
+        downvote_count = excluded.downvote_count,
+        score = excluded.score,
+        created_at = CURRENT_TIMESTAMP
+    `;
+    const params = [
+      winner.cat_id,
+      monthYear,
+      winner.upvote_count,
+      winner.downvote_count,
+      winner.score,
+    ];
+
+    db.run(upsert, params, (err) => {
+      if (err) return callback(err);
+      callback(null, winner);
+    });
+  });
+}
+
+// Close, in order, every month up to and including `through` that comes after
+// the latest stored winner (or, with no winners yet, since the first vote).
+// Stops at the first error, leaving the rest for the next call. Calls back
+// with the months closed, each with its winner or null.
+function closeMissedMonths(db, through, callback) {
+  const query = `
+    SELECT
+      (SELECT MAX(month_year) FROM monthly_winners) as latest_winner,
+      (SELECT MIN(strftime('%Y-%m', ${VOTED_AT})) FROM votes) as first_vote
+  `;
+
+  db.get(query, [], (err, row) => {
+    if (err) return callback(err, []);
+
+    const months = [];
+    const first = row.latest_winner ? nextMonth(row.latest_winner) : row.first_vote;
+    for (let month = first; month && month <= through; month = nextMonth(month)) {
+      months.push(month);
+    }
+
+    const closed = [];
+    const closeNext = (index) => {
+      if (index === months.length) return callback(null, closed);
+      closeMonth(db, months[index], (err, winner) => {
+        if (err) return callback(err, closed);
+        closed.push({ month: months[index], winner });
+        closeNext(index + 1);
+      });
+    };
+    closeNext(0);
+  });
+}
+
+// Close every finished month that has no winner stored yet. Runs at startup
+// and then periodically, so a server that was down over one or more
+// rollovers still catches up.
+function startMonthCloseScheduler(db) {
+  const log = logger.child({ operation: 'closeMonth', trigger: 'scheduler' });
+  let lastClosed = null;
+
+  const check = () => {
+    const through = previousMonth();
+    if (through === lastClosed) return;
+
+    closeMissedMonths(db, through, (err, closed) => {
+      closed.forEach(({ month, winner }) => {
+        if (winner) {
+          log.info('Closed month', { month, winnerCatId: winner.cat_id, score: winner.score });
+        } else {
+          log.info('Closed month with no upvotes', { month });
+        }
+      });
+      if (err) return log.error('Error closing months', { through, error: err });
+      lastClosed = through;
+    });
+  };
+
+  check();
+  const timer = setInterval(check, CHECK_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  monthOf,
+  previousMonth,
+  findMonthLeader,
+  closeMonth,
+  closeMissedMonths,
+  startMonthCloseScheduler,
+};
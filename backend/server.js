@@ -1,36 +1,146 @@
-require('dotenv').config();
+require('./instrument');
+const Sentry = require('@sentry/node');
 const express = require('express');
 const cors = require('cors');
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const {
+  hashPassword,
+  verifyPassword,
+  signToken,
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  requireAuth,
+  optionalAuth,
+  normalizeEmail,
+} = require('./lib/auth');
+const {
+  promoteConfiguredAdmins,
+  requireAdmin,
+  recordAudit,
+} = require('./lib/admin');
+const { instrumentDatabase, runInTransaction } = require('./lib/db');
+const { sendError, notFoundHandler, errorHandler } = require('./lib/errors');
+const { idempotent } = require('./lib/idempotency');
+const { logger, requestLogger } = require('./lib/logger');
+const { validateRequest } = require('./lib/validation');
+const { openApiDocument, checkRoutes } = require('./lib/openapi');
+const {
+  insertCats,
+  parseListOptions,
+  buildListQuery,
+  getCatTally,
+  requireExistingCat,
+} = require('./lib/cats');
+const { ingestCats, seedIfEmpty } = require('./lib/ingest');
+const { providers, getProvider } = require('./lib/providers');
+const { encodeCursor } = require('./lib/pagination');
+const {
+  monthOf,
+  findMonthLeader,
+  closeMonth,
+  startMonthCloseScheduler,
+} = require('./lib/winners');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const DB_PATH = process.env.DATABASE_PATH || './database.db';
 
 // Middleware
-app.use(cors());
+app.use(requestLogger);
+// Let browser clients read the echoed request ID
+app.use(cors({ exposedHeaders: ['X-Request-Id'] }));
 app.use(express.json());
 
+// Images for the local image-source provider
+app.use('/images', express.static(providers.local.directory));
+
 // Initialize SQLite database
-const db = new sqlite3.Database(DB_PATH, (err) => {
+const db = instrumentDatabase(new sqlite3.Database(DB_PATH, (err) => {
   if (err) {
-    console.error('Error opening database:', err);
+    logger.fatal('Error opening database', { operation: 'openDatabase', dbPath: DB_PATH, error: err });
   } else {
-    console.log('Connected to SQLite database');
+    logger.info('Connected to SQLite database', { operation: 'openDatabase', dbPath: DB_PATH });
     // Enable foreign key constraints
     db.run('PRAGMA foreign_keys = ON;', (err) => {
       if (err) {
-        console.error('Error enabling foreign keys:', err);
+        logger.error('Error enabling foreign keys', { operation: 'openDatabase', error: err });
       }
     });
-    initializeDatabase();
+    initializeDatabase(() => {
+      startMonthCloseScheduler(db);
+      seedIfEmpty(db);
+    });
   }
-});
+}));
+
+// Initialize database tables, calling back once the schema is ready
+function initializeDatabase(callback) {
+  const log = logger.child({ operation: 'initializeDatabase' });
+  const start = Date.now();
 
-// Initialize database tables
-function initializeDatabase() {
   db.serialize(() => {
+    // Users table
+    db.run(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        email TEXT NOT NULL UNIQUE,
+        password_hash TEXT NOT NULL,
+        password_salt TEXT NOT NULL,
+        role TEXT NOT NULL DEFAULT 'user',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `, (err) => {
+      if (err) log.error('Error creating users table', { error: err });
+    });
+
+    addColumnIfMissing('users', 'role', "TEXT NOT NULL DEFAULT 'user'", () => {
+      promoteConfiguredAdmins(db);
+    });
+
+    // Refresh tokens, stored hashed, one row per signed-in session
+    db.run(`
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        token_hash TEXT PRIMARY KEY,
+        user_id INTEGER NOT NULL,
+        expires_at DATETIME NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )
+    `, (err) => {
+      if (err) log.error('Error creating refresh_tokens table', { error: err });
+    });
+
+    // Stored responses for requests retried with an Idempotency-Key
+    db.run(`
+      CREATE TABLE IF NOT EXISTS idempotency_keys (
+        user_id INTEGER NOT NULL,
+        key TEXT NOT NULL,
+        status INTEGER NOT NULL,
+        body TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, key),
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )
+    `, (err) => {
+      if (err) log.error('Error creating idempotency_keys table', { error: err });
+    });
+
+    // Audit log of admin operations
+    db.run(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        action TEXT NOT NULL,
+        details TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )
+    `, (err) => {
+      if (err) log.error('Error creating audit_log table', { error: err });
+    });
+
     // Cats table
     db.run(`
       CREATE TABLE IF NOT EXISTS cats (
@@ -40,20 +150,34 @@ function initializeDatabase() {
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP
       )
     `, (err) => {
-      if (err) console.error('Error creating cats table:', err);
+      if (err) log.error('Error creating cats table', { error: err });
     });
 
-    // Votes table
+    // Votes table (one active vote per user per cat)
     db.run(`
       CREATE TABLE IF NOT EXISTS votes (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         cat_id INTEGER NOT NULL,
+        user_id INTEGER,
         vote_type TEXT NOT NULL,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (cat_id) REFERENCES cats(id)
+        updated_at DATETIME,
+        FOREIGN KEY (cat_id) REFERENCES cats(id),
+        FOREIGN KEY (user_id) REFERENCES users(id)
       )
     `, (err) => {
-      if (err) console.error('Error creating votes table:', err);
+      if (err) log.error('Error creating votes table', { error: err });
+    });
+
+    // Databases created before votes were tied to users lack these columns.
+    // Anonymous votes recorded back then keep a NULL user_id.
+    addColumnIfMissing('votes', 'user_id', 'INTEGER REFERENCES users(id)');
+    addColumnIfMissing('votes', 'updated_at', 'DATETIME', () => {
+      db.run(`
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_votes_user_cat ON votes (user_id, cat_id)
+      `, (err) => {
+        if (err) log.error('Error creating votes index', { error: err });
+      });
     });
 
     // Monthly winners table
@@ -63,122 +187,470 @@ function initializeDatabase() {
         cat_id INTEGER NOT NULL,
         month_year TEXT NOT NULL,
         upvote_count INTEGER DEFAULT 0,
+        downvote_count INTEGER DEFAULT 0,
+        score REAL,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (cat_id) REFERENCES cats(id)
       )
     `, (err) => {
-      if (err) console.error('Error creating monthly_winners table:', err);
+      if (err) log.error('Error creating monthly_winners table', { error: err });
+    });
+
+    // One crowned winner per month
+    addColumnIfMissing('monthly_winners', 'downvote_count', 'INTEGER DEFAULT 0');
+    addColumnIfMissing('monthly_winners', 'score', 'REAL', () => {
+      db.run(`
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_monthly_winners_month ON monthly_winners (month_year)
+      `, (err) => {
+        if (err) log.error('Error creating monthly_winners index', { error: err });
+        log.info('Database schema ready', { duration_ms: Date.now() - start });
+        callback();
+      });
+    });
+  });
+}
+
+// Add a column to an existing table unless it is already there
+function addColumnIfMissing(table, column, definition, callback = () => {}) {
+  db.all(`PRAGMA table_info(${table})`, [], (err, columns) => {
+    if (err) {
+      logger.error('Error reading table schema', { operation: 'initializeDatabase', table, error: err });
+      return callback(err);
+    }
+    if (columns.some((col) => col.name === column)) {
+      return callback(null);
+    }
+
+    db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, (err) => {
+      if (err) {
+        logger.error('Error adding column', { operation: 'initializeDatabase', table, column, error: err });
+      } else {
+        logger.info('Added column', { operation: 'initializeDatabase', table, column });
+      }
+      callback(err);
     });
   });
 }
 
 // Routes
 
-// Get all cats with vote counts
-app.get('/api/cats', (req, res) => {
+// Respond with a new session: a short-lived access token and the refresh
+// token that renews it
+function sendSession(req, res, user, status, operation) {
+  issueRefreshToken(db, user.id, (err, refreshToken) => {
+    if (err) {
+      req.log.error('Error issuing refresh token', { operation, error: err });
+      return sendError(res, 'internal_error', 'Failed to start session');
+    }
+    res.status(status).json({ userId: user.id, token: signToken(user), refreshToken });
+  });
+}
+
+// Register a new user
+app.post('/api/auth/register', validateRequest('registerUser'), (req, res) => {
+  const email = normalizeEmail(req.body.email);
+  const { password } = req.body;
+
+  hashPassword(password, (err, hashed) => {
+    if (err) {
+      req.log.error('Error hashing password', { operation: 'registerUser', error: err });
+      return sendError(res, 'internal_error', 'Failed to register user');
+    }
+
+    const query = `INSERT INTO users (email, password_hash, password_salt) VALUES (?, ?, ?)`;
+    const params = [email, hashed.hash, hashed.salt];
+    db.run(query, params, function (err) {
+      if (err) {
+        if (err.code === 'SQLITE_CONSTRAINT') {
+          return sendError(res, 'email_taken', 'Email is already registered');
+        }
+        req.log.error('Error registering user', { operation: 'registerUser', error: err });
+        return sendError(res, 'internal_error', 'Failed to register user');
+      }
+
+      sendSession(req, res, { id: this.lastID, email }, 201, 'registerUser');
+    });
+  });
+});
+
+// Log in an existing user
+app.post('/api/auth/login', validateRequest('loginUser'), (req, res) => {
+  const email = normalizeEmail(req.body.email);
+  const { password } = req.body;
+
+  const query = `SELECT id, email, password_hash, password_salt FROM users WHERE email = ?`;
+  db.get(query, [email], (err, user) => {
+    if (err) {
+      req.log.error('Error fetching user', { operation: 'loginUser', error: err });
+      return sendError(res, 'internal_error', 'Failed to log in');
+    }
+    if (!user) {
+      return sendError(res, 'invalid_credentials', 'Invalid email or password');
+    }
+
+    verifyPassword(password, user.password_salt, user.password_hash, (err, matches) => {
+      if (err) {
+        req.log.error('Error verifying password', { operation: 'loginUser', error: err });
+        return sendError(res, 'internal_error', 'Failed to log in');
+      }
+      if (!matches) {
+        return sendError(res, 'invalid_credentials', 'Invalid email or password');
+      }
+
+      sendSession(req, res, user, 200, 'loginUser');
+    });
+  });
+});
+
+// Exchange a refresh token for a new access token and refresh token
+app.post('/api/auth/refresh', validateRequest('refreshSession'), (req, res) => {
+  const { refreshToken } = req.body;
+
+  rotateRefreshToken(db, refreshToken, (err, rotated) => {
+    if (err) {
+      req.log.error('Error rotating refresh token', { operation: 'refreshSession', error: err });
+      return sendError(res, 'internal_error', 'Failed to refresh session');
+    }
+    if (!rotated) {
+      req.log.warn('Rejected refresh token', { operation: 'refreshSession' });
+      return sendError(res, 'session_expired', 'Session expired');
+    }
+
+    const { user, refreshToken: replacement } = rotated;
+    req.log.info('Session refreshed', { operation: 'refreshSession', userId: user.id });
+    res.json({ userId: user.id, token: signToken(user), refreshToken: replacement });
+  });
+});
+
+// Log out: revoke the session's refresh token
+app.post('/api/auth/logout', validateRequest('logoutUser'), (req, res) => {
+  const { refreshToken } = req.body;
+
+  revokeRefreshToken(db, refreshToken, (err) => {
+    if (err) {
+      req.log.error('Error revoking refresh token', { operation: 'logoutUser', error: err });
+      return sendError(res, 'internal_error', 'Failed to log out');
+    }
+    res.json({ success: true });
+  });
+});
+
+// Get a page of cats with vote counts, plus the caller's own vote when signed
+// in. Supports ?sort=top|controversial|newest|net|trending (trending counts
+// votes from the last ?days=), and the filters ?unvoted=true, ?min_votes= and
+// ?since=. Pages use the id as a tiebreak, and `nextCursor` (null on the last
+// page) is passed back as ?cursor= along with the same sort for the next page.
+app.get('/api/cats', optionalAuth, validateRequest('fetchCats'), (req, res) => {
+  const { options, code, message } = parseListOptions(req.query, req.user);
+  if (code) {
+    return sendError(res, code, message);
+  }
+
+  const { sql, params } = buildListQuery(options, req.user ? req.user.id : null);
+
+  db.all(sql, params, (err, rows) => {
+    if (err) {
+      req.log.error('Error fetching cats', { operation: 'fetchCats', error: err });
+      return sendError(res, 'internal_error', 'Failed to fetch cats');
+    }
+
+    const page = rows.slice(0, options.limit);
+    const last = page[page.length - 1];
+    const nextCursor = rows.length > options.limit
+      ? encodeCursor(options.sort, last.sort_value, last.id)
+      : null;
+    const cats = page.map(({ sort_value, ...cat }) => cat);
+    res.json({ cats, nextCursor });
+  });
+});
+
+// Get the winner for ?month=YYYY-MM, or the most recently crowned winner
+app.get('/api/winner', validateRequest('fetchWinner'), (req, res) => {
+  const { month } = req.query;
+
   const query = `
     SELECT 
       cats.id,
       cats.image_url,
-      SUM(CASE WHEN votes.vote_type = 'upvote' THEN 1 ELSE 0 END) as upvotes,
-      SUM(CASE WHEN votes.vote_type = 'downvote' THEN 1 ELSE 0 END) as downvotes
-    FROM cats
-    LEFT JOIN votes ON cats.id = votes.cat_id
-    GROUP BY cats.id
-    ORDER BY upvotes DESC
+      monthly_winners.month_year,
+      monthly_winners.upvote_count,
+      monthly_winners.downvote_count,
+      monthly_winners.score
+    FROM monthly_winners
+    JOIN cats ON monthly_winners.cat_id = cats.id
+    ${month ? 'WHERE monthly_winners.month_year = ?' : ''}
+    ORDER BY monthly_winners.month_year DESC
+    LIMIT 1
   `;
 
-  db.all(query, [], (err, rows) => {
+  db.get(query, month ? [month] : [], (err, row) => {
     if (err) {
-      console.error('Error fetching cats:', err);
-      return res.status(500).json({ error: 'Failed to fetch cats' });
+      req.log.error('Error fetching winner', { operation: 'fetchWinner', error: err });
+      return sendError(res, 'internal_error', 'Failed to fetch winner');
     }
-    res.json(rows || []);
+    res.json(row || null);
   });
 });
 
-// Get current month's winner
-app.get('/api/winner', (req, res) => {
-  const currentMonth = new Date().toISOString().slice(0, 7); // YYYY-MM format
+// Get the live leader of the current month, ranked like the eventual winner
+app.get('/api/leader', (req, res) => {
+  const month = monthOf(new Date());
+
+  findMonthLeader(db, month, (err, leader) => {
+    if (err) {
+      req.log.error('Error fetching leader', { operation: 'fetchLeader', error: err });
+      return sendError(res, 'internal_error', 'Failed to fetch leader');
+    }
+    if (!leader) {
+      return res.json(null);
+    }
+
+    db.get('SELECT image_url FROM cats WHERE id = ?', [leader.cat_id], (err, cat) => {
+      if (err) {
+        req.log.error('Error fetching leader', { operation: 'fetchLeader', error: err });
+        return sendError(res, 'internal_error', 'Failed to fetch leader');
+      }
+      res.json({
+        id: leader.cat_id,
+        image_url: cat ? cat.image_url : null,
+        month_year: leader.month_year,
+        upvote_count: leader.upvote_count,
+        downvote_count: leader.downvote_count,
+        score: leader.score,
+      });
+    });
+  });
+});
+
+// Get the winners history, newest month first, optionally bounded by ?from=&to=
+app.get('/api/winners', validateRequest('fetchWinners'), (req, res) => {
+  const { from, to } = req.query;
+
+  if (from && to && from > to) {
+    return sendError(res, 'validation_failed', 'from must not be after to', {
+      fields: [{ in: 'query', field: 'from', message: 'must not be after to' }],
+    });
+  }
+
+  const conditions = [];
+  const params = [];
+  if (from) {
+    conditions.push('monthly_winners.month_year >= ?');
+    params.push(from);
+  }
+  if (to) {
+    conditions.push('monthly_winners.month_year <= ?');
+    params.push(to);
+  }
 
   const query = `
     SELECT 
       cats.id,
       cats.image_url,
-      monthly_winners.upvote_count
+      monthly_winners.month_year,
+      monthly_winners.upvote_count,
+      monthly_winners.downvote_count,
+      monthly_winners.score
     FROM monthly_winners
     JOIN cats ON monthly_winners.cat_id = cats.id
-    WHERE monthly_winners.month_year = ?
-    ORDER BY monthly_winners.upvote_count DESC
-    LIMIT 1
+    ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY monthly_winners.month_year DESC
   `;
 
-  db.get(query, [currentMonth], (err, row) => {
+  db.all(query, params, (err, rows) => {
     if (err) {
-      console.error('Error fetching winner:', err);
-      return res.status(500).json({ error: 'Failed to fetch winner' });
+      req.log.error('Error fetching winners', { operation: 'fetchWinners', error: err });
+      return sendError(res, 'internal_error', 'Failed to fetch winners');
     }
-    res.json(row || null);
+    res.json(rows || []);
   });
 });
 
-// Add a vote
-app.post('/api/votes', (req, res) => {
+// Cast or change the current user's vote on a cat. Responds with the cat's
+// updated tallies so clients can update it without refetching the list.
+// Clients replaying queued votes send an Idempotency-Key so a vote that
+// already reached the server is not applied again. Votes for cats that don't
+// exist are refused with 404 before anything is stored.
+const voteChecks = [requireAuth, validateRequest('submitVote'), requireExistingCat(db)];
+app.post('/api/votes', voteChecks, idempotent(db), (req, res) => {
   const { cat_id, vote_type } = req.body;
 
-  if (!cat_id || !vote_type || !['upvote', 'downvote'].includes(vote_type)) {
-    return res.status(400).json({ error: 'Invalid cat_id or vote_type' });
-  }
-
-  const query = `INSERT INTO votes (cat_id, vote_type) VALUES (?, ?)`;
+  const query = `
+    INSERT INTO votes (cat_id, user_id, vote_type) VALUES (?, ?, ?)
+    ON CONFLICT (user_id, cat_id) DO UPDATE SET
+      updated_at = CASE WHEN vote_type = excluded.vote_type THEN updated_at ELSE CURRENT_TIMESTAMP END,
+      vote_type = excluded.vote_type
+  `;
 
-  db.run(query, [cat_id, vote_type], (err) => {
+  db.run(query, [cat_id, req.user.id, vote_type], (err) => {
     if (err) {
-      console.error('Error adding vote:', err);
-      return res.status(500).json({ error: 'Failed to add vote' });
+      req.log.error('Error adding vote', { operation: 'submitVote', error: err });
+      return sendError(res, 'internal_error', 'Failed to add vote');
     }
-    res.json({ success: true, message: 'Vote recorded' });
+
+    getCatTally(db, cat_id, req.user.id, (err, cat) => {
+      if (err) {
+        req.log.error('Error fetching cat tallies', { operation: 'submitVote', error: err });
+        return sendError(res, 'internal_error', 'Vote recorded but failed to fetch tallies');
+      }
+      res.json({ success: true, message: 'Vote recorded', vote: { cat_id, vote_type }, cat });
+    });
   });
 });
 
-// Add cats (called when fetching from Cat API)
-app.post('/api/cats', (req, res) => {
-  const { cats } = req.body;
+// Retract the current user's vote on a cat, responding with updated tallies
+app.delete('/api/votes/:catId', requireAuth, validateRequest('retractVote'), (req, res) => {
+  const query = `DELETE FROM votes WHERE cat_id = ? AND user_id = ?`;
 
-  if (!Array.isArray(cats) || cats.length === 0) {
-    return res.status(400).json({ error: 'Invalid cats data' });
-  }
+  db.run(query, [req.params.catId, req.user.id], function (err) {
+    if (err) {
+      req.log.error('Error retracting vote', { operation: 'retractVote', error: err });
+      return sendError(res, 'internal_error', 'Failed to retract vote');
+    }
+    if (this.changes === 0) {
+      return sendError(res, 'not_found', 'No vote to retract');
+    }
 
-  let inserted = 0;
-  cats.forEach((cat) => {
-    const query = `INSERT OR IGNORE INTO cats (image_url, external_id) VALUES (?, ?)`;
-    db.run(query, [cat.url, cat.id], (err) => {
+    getCatTally(db, req.params.catId, req.user.id, (err, cat) => {
       if (err) {
-        console.error('Error inserting cat:', err);
-      } else {
-        inserted++;
+        req.log.error('Error fetching cat tallies', { operation: 'retractVote', error: err });
+        return sendError(res, 'internal_error', 'Vote retracted but failed to fetch tallies');
       }
+      res.json({ success: true, message: 'Vote retracted', cat });
     });
   });
+});
 
-  res.json({ success: true, inserted });
+// Add cats directly (admin only; cats normally arrive through ingestion)
+//
+// Valid cats are inserted in a single transaction. The response lists which
+// items were inserted, which were duplicates by external id, and which were
+// rejected with the validation reasons.
+app.post('/api/cats', requireAdmin(db), validateRequest('addCats'), (req, res) => {
+  const { cats } = req.body;
+
+  insertCats(db, cats, {}, (err, result) => {
+    if (err) {
+      req.log.error('Error inserting cats', { operation: 'addCats', error: err });
+      return sendError(res, 'internal_error', 'Failed to add cats, no cats were inserted');
+    }
+    if (result.inserted.length === 0 && result.duplicates.length === 0) {
+      return sendError(res, 'validation_failed', 'No valid cats in batch', { rejected: result.rejected });
+    }
+    recordAudit(db, req, 'add_cats', { inserted: result.inserted.length });
+    res.json({ success: true, ...result });
+  });
 });
 
-// Clear all data (cats, votes, winners)
-app.post('/api/clear', (req, res) => {
-  db.serialize(() => {
-    db.run('DELETE FROM votes', (err) => {
-      if (err) console.error('Error clearing votes:', err);
+// Pull new cats from an image source (`provider` defaults to CAT_SOURCE)
+app.post('/api/admin/ingest', requireAdmin(db), validateRequest('ingestCats'), (req, res) => {
+  const provider = getProvider(req.body.provider);
+  const { limit } = req.body;
+
+  ingestCats(db, provider, limit, (err, result) => {
+    if (err) {
+      req.log.error('Error ingesting cats', { operation: 'ingestCats', provider: provider.name, error: err });
+      return sendError(res, 'upstream_failed', `Failed to ingest cats from ${provider.name}`);
+    }
+    recordAudit(db, req, 'ingest_cats', {
+      provider: provider.name,
+      inserted: result.inserted.length,
     });
-    db.run('DELETE FROM monthly_winners', (err) => {
-      if (err) console.error('Error clearing winners:', err);
+    res.json({ success: true, provider: provider.name, ...result });
+  });
+});
+
+// Close a finished month on demand and persist its winner
+app.post('/api/admin/close-month', requireAdmin(db), validateRequest('closeMonth'), (req, res) => {
+  const { month } = req.body;
+
+  if (month >= monthOf(new Date())) {
+    return sendError(res, 'validation_failed', 'Only months that have ended can be closed', {
+      fields: [{ in: 'body', field: 'month', message: 'must be a month that has ended' }],
     });
-    db.run('DELETE FROM cats', (err) => {
-      if (err) console.error('Error clearing cats:', err);
+  }
+
+  closeMonth(db, month, (err, winner) => {
+    if (err) {
+      req.log.error('Error closing month', { operation: 'closeMonth', month, error: err });
+      return sendError(res, 'internal_error', 'Failed to close month');
+    }
+    recordAudit(db, req, 'close_month', { month, winnerCatId: winner ? winner.cat_id : null });
+    res.json({ success: true, month, winner });
+  });
+});
+
+// Remove a cat along with its votes and wins (moderation)
+app.delete('/api/admin/cats/:id', requireAdmin(db), validateRequest('removeCat'), (req, res) => {
+  const catId = req.params.id;
+
+  runInTransaction(db, (tx, done) => {
+    tx.run('DELETE FROM votes WHERE cat_id = ?', [catId], (err) => {
+      if (err) return done(err);
+      tx.run('DELETE FROM monthly_winners WHERE cat_id = ?', [catId], (err) => {
+        if (err) return done(err);
+        tx.run('DELETE FROM cats WHERE id = ?', [catId], function (err) {
+          if (err) return done(err);
+          done(null, this.changes);
+        });
+      });
     });
+  }, (err, removed) => {
+    if (err) {
+      req.log.error('Error removing cat', { operation: 'removeCat', error: err });
+      return sendError(res, 'internal_error', 'Failed to remove cat');
+    }
+    if (removed === 0) {
+      return sendError(res, 'not_found', 'Cat not found');
+    }
+    recordAudit(db, req, 'remove_cat', { catId });
+    res.json({ success: true, message: 'Cat removed' });
   });
+});
+
+// List the most recent admin operations
+app.get('/api/admin/audit-log', requireAdmin(db), (req, res) => {
+  const query = `
+    SELECT audit_log.id, audit_log.action, audit_log.details, audit_log.created_at,
+      users.id as user_id, users.email
+    FROM audit_log
+    JOIN users ON audit_log.user_id = users.id
+    ORDER BY audit_log.id DESC
+    LIMIT 100
+  `;
 
-  res.json({ success: true, message: 'Database cleared' });
+  db.all(query, [], (err, rows) => {
+    if (err) {
+      req.log.error('Error fetching audit log', { operation: 'fetchAuditLog', error: err });
+      return sendError(res, 'internal_error', 'Failed to fetch audit log');
+    }
+    res.json(rows.map((row) => ({ ...row, details: JSON.parse(row.details || '{}') })));
+  });
+});
+
+// Clear all data (cats, votes, winners). Stored vote responses go too, so a
+// retried vote can't replay the tallies of a deleted cat.
+app.post('/api/clear', requireAdmin(db), (req, res) => {
+  const tables = ['votes', 'monthly_winners', 'idempotency_keys', 'cats'];
+
+  runInTransaction(db, (tx, done) => {
+    const clearNext = (position) => {
+      if (position === tables.length) return done(null);
+      tx.run(`DELETE FROM ${tables[position]}`, (err) => {
+        if (err) return done(err);
+        clearNext(position + 1);
+      });
+    };
+
+    clearNext(0);
+  }, (err) => {
+    if (err) {
+      req.log.error('Error clearing database', { operation: 'clearDatabase', error: err });
+      return sendError(res, 'internal_error', 'Failed to clear database, nothing was deleted');
+    }
+    recordAudit(db, req, 'clear_database');
+    res.json({ success: true, message: 'Database cleared' });
+  });
 });
 
 // Health check
@@ -186,16 +658,40 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'ok' });
 });
 
+// OpenAPI description of the routes above
+app.get('/api/openapi.json', (req, res) => {
+  res.json(openApiDocument);
+});
+
+// Every route must be in the OpenAPI document and vice versa; a mismatch means
+// one was changed without the other
+const routeMismatch = checkRoutes(app);
+if (routeMismatch.undocumented.length > 0 || routeMismatch.unimplemented.length > 0) {
+  logger.warn('Routes and OpenAPI document disagree', {
+    operation: 'startup',
+    undocumented: routeMismatch.undocumented.join(', '),
+    unimplemented: routeMismatch.unimplemented.join(', '),
+  });
+}
+
+// Anything else under /api is an unknown route
+app.use('/api', notFoundHandler);
+
+// Report unhandled route errors to Sentry, then answer them with the error
+// envelope
+Sentry.setupExpressErrorHandler(app);
+app.use(errorHandler);
+
 // Start server
 app.listen(PORT, () => {
-  console.log(`Server running on http://localhost:${PORT}`);
+  logger.info('Server running', { url: `http://localhost:${PORT}`, port: Number(PORT) });
 });
 
 // Graceful shutdown
 process.on('SIGINT', () => {
-  console.log('Closing database...');
+  logger.info('Closing database', { operation: 'shutdown' });
   db.close((err) => {
-    if (err) console.error('Error closing database:', err);
+    if (err) logger.error('Error closing database', { operation: 'shutdown', error: err });
     process.exit(0);
   });
 });
@@ -0,0 +1,320 @@
+// Contract test: starts the server on a temporary database, calls every route
+// in the OpenAPI document and checks each response's status and body against
+// it. Also checks that the app's client types (frontend/src/services/client.js)
+// match the document's component schemas.
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { validate } = require('../../shared/validate');
+const { ERROR_STATUS } = require('../lib/errors');
+const { openApiDocument, checkRoutes } = require('../lib/openapi');
+
+const ADMIN_EMAIL = 'admin@example.com';
+// Listed in ADMIN_EMAILS but registered after the server started
+const LATE_ADMIN_EMAIL = 'late-admin@example.com';
+const CLIENT_PATH = path.join(__dirname, '../../frontend/src/services/client.js');
+
+// Inline the document's $refs so the schema can be checked with validate()
+function resolve(schema) {
+  if (Array.isArray(schema)) return schema.map(resolve);
+  if (!schema || typeof schema !== 'object') return schema;
+  if (schema.$ref) {
+    // Siblings such as `nullable` apply on top of the referenced schema
+    const { $ref, ...rest } = schema;
+    const name = $ref.replace('#/components/schemas/', '');
+    return { ...resolve(openApiDocument.components.schemas[name]), ...rest };
+  }
+  return Object.fromEntries(Object.entries(schema).map(([key, value]) => [key, resolve(value)]));
+}
+
+// Properties in `value` that the schema doesn't declare, so fields added to a
+// response without documenting them are caught too
+function undeclared(schema, value, field = '') {
+  if (value === null || typeof value !== 'object') return [];
+  if (Array.isArray(value)) {
+    return schema.items
+      ? value.flatMap((item, index) => undeclared(schema.items, item, `${field}[${index}]`))
+      : [];
+  }
+  if (!schema.properties) return [];
+  return Object.entries(value).flatMap(([name, entry]) => {
+    const fieldPath = field ? `${field}.${name}` : name;
+    const property = schema.properties[name];
+    return property ? undeclared(property, entry, fieldPath) : [fieldPath];
+  });
+}
+
+function freePort() {
+  return new Promise((resolvePort, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolvePort(port));
+    });
+  });
+}
+
+// Temporary directory for the server's database and images. After the test,
+// the servers started on it are stopped and then it is removed.
+function createWorkspace(t) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cat-contract-'));
+  const images = path.join(directory, 'images');
+  fs.mkdirSync(images);
+  ['tabby.jpg', 'calico.png'].forEach((file) => fs.writeFileSync(path.join(images, file), ''));
+
+  const workspace = { directory, servers: [] };
+  t.after(async () => {
+    await Promise.all(workspace.servers.map((stop) => stop()));
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+  return workspace;
+}
+
+// Start server.js on the workspace's database and images. Resolves once it is
+// listening, with its URL, the log entries written so far and a stop().
+async function startServer(workspace) {
+  const { directory } = workspace;
+  const port = await freePort();
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: path.join(__dirname, '..'),
+    env: {
+      ...process.env,
+      PORT: String(port),
+      DATABASE_PATH: path.join(directory, 'test.db'),
+      JWT_SECRET: 'contract-test',
+      ADMIN_EMAILS: `${ADMIN_EMAIL},${LATE_ADMIN_EMAIL}`,
+      CAT_SOURCE: 'local',
+      LOCAL_IMAGES_DIR: path.join(directory, 'images'),
+      SEED_COUNT: '0',
+      LOG_SINKS: 'stdout',
+      SENTRY_DSN: '',
+    },
+    stdio: ['ignore', 'pipe', 'inherit'],
+  });
+  const exited = new Promise((resolveExit) => child.on('exit', resolveExit));
+  const stop = () => {
+    child.kill();
+    return exited;
+  };
+  workspace.servers.push(stop);
+
+  const logs = [];
+  await new Promise((resolveStart, reject) => {
+    let buffered = '';
+    child.stdout.on('data', (chunk) => {
+      buffered += chunk;
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
+      lines.filter(Boolean).forEach((line) => {
+        const entry = JSON.parse(line);
+        logs.push(entry);
+        if (entry.message === 'Server running') resolveStart();
+      });
+    });
+    child.on('exit', (code) => reject(new Error(`Server exited with code ${code}`)));
+  });
+
+  return { url: `http://localhost:${port}`, logs, stop };
+}
+
+test('checkRoutes reports routes missing from either side', () => {
+  const app = express();
+  app.get('/api/health', () => {});
+  app.put('/api/cats/:id', () => {});
+
+  const { undocumented, unimplemented } = checkRoutes(app);
+  assert.deepStrictEqual(undocumented, ['PUT /api/cats/{id}']);
+  assert.ok(unimplemented.includes('POST /api/votes'));
+  assert.ok(!unimplemented.includes('GET /api/health'));
+});
+
+test('the server matches its OpenAPI document', async (t) => {
+  const workspace = createWorkspace(t);
+
+  // Listed admins are promoted when the server starts, so the admin's account
+  // has to exist before then
+  const setup = await startServer(workspace);
+  const registered = await fetch(`${setup.url}/api/auth/register`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email: ADMIN_EMAIL, password: 'correct horse' }),
+  });
+  assert.strictEqual(registered.status, 201);
+  await setup.stop();
+
+  const { url, logs } = await startServer(workspace);
+
+  const mismatch = logs.find((entry) => entry.message === 'Routes and OpenAPI document disagree');
+  assert.strictEqual(mismatch, undefined, `Routes and document disagree: ${JSON.stringify(mismatch)}`);
+
+  // Operations that have answered with a documented success
+  const succeeded = new Set();
+
+  // Call a documented route and check the response against the document.
+  // `route` is "METHOD /path/{param}" as written in the document.
+  const call = async (route, { params = {}, query, body, token, status = 200 } = {}) => {
+    const [method, template] = route.split(' ');
+    const operation = openApiDocument.paths[template]?.[method.toLowerCase()];
+    assert.ok(operation, `${route} is not in the document`);
+
+    const filled = template.replace(/\{(\w+)\}/g, (match, name) => encodeURIComponent(params[name]));
+    const search = query ? `?${new URLSearchParams(query)}` : '';
+    const response = await fetch(`${url}${filled}${search}`, {
+      method,
+      headers: {
+        ...(body !== undefined && { 'Content-Type': 'application/json' }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const data = await response.json();
+
+    assert.strictEqual(response.status, status, `${route}: ${JSON.stringify(data)}`);
+    const documented = operation.responses[response.status];
+    assert.ok(documented, `${route} answered ${response.status}, which the document doesn't list`);
+
+    const schema = resolve(documented.content['application/json'].schema);
+    const { errors } = validate(schema, data);
+    assert.deepStrictEqual(errors, [], `${route} ${response.status} body doesn't match the document`);
+    assert.deepStrictEqual(undeclared(schema, data), [], `${route} ${response.status} has undocumented fields`);
+
+    if (response.status >= 400) {
+      assert.strictEqual(ERROR_STATUS[data.error.code], response.status, `${route}: ${data.error.code}`);
+    } else {
+      succeeded.add(route);
+    }
+    return data;
+  };
+
+  await call('GET /api/health');
+  await call('GET /api/openapi.json');
+
+  // Auth
+  const admin = await call('POST /api/auth/login', {
+    body: { email: ADMIN_EMAIL, password: 'correct horse' },
+  });
+  const lateAdmin = await call('POST /api/auth/register', {
+    body: { email: LATE_ADMIN_EMAIL, password: 'correct horse' },
+    status: 201,
+  });
+  const user = await call('POST /api/auth/register', {
+    body: { email: 'user@example.com', password: 'correct horse' },
+    status: 201,
+  });
+  await call('POST /api/auth/register', {
+    body: { email: 'user@example.com', password: 'correct horse' },
+    status: 409,
+  });
+  await call('POST /api/auth/register', { body: { email: 'nope', password: 'short' }, status: 400 });
+  await call('POST /api/auth/login', { body: { email: 'user@example.com', password: 'wrong password' }, status: 401 });
+  const session = await call('POST /api/auth/login', {
+    body: { email: 'user@example.com', password: 'correct horse' },
+  });
+  const refreshed = await call('POST /api/auth/refresh', { body: { refreshToken: session.refreshToken } });
+  await call('POST /api/auth/refresh', { body: { refreshToken: session.refreshToken }, status: 401 });
+  await call('POST /api/auth/logout', { body: { refreshToken: refreshed.refreshToken } });
+
+  // Cats
+  await call('POST /api/cats', { body: { cats: [] }, token: admin.token, status: 400 });
+  await call('POST /api/cats', { body: { cats: [{ id: 'a', url: 'https://example.com/a.jpg' }] }, status: 401 });
+  await call('POST /api/cats', {
+    body: { cats: [{ id: 'a', url: 'https://example.com/a.jpg' }] },
+    token: user.token,
+    status: 403,
+  });
+  // Registering with a listed email doesn't make the account an admin
+  await call('POST /api/cats', {
+    body: { cats: [{ id: 'a', url: 'https://example.com/a.jpg' }] },
+    token: lateAdmin.token,
+    status: 403,
+  });
+  const added = await call('POST /api/cats', {
+    body: {
+      cats: [
+        { id: 'a', url: 'https://example.com/a.jpg' },
+        { id: 'b', url: 'https://example.com/b.jpg' },
+        { id: 'bad', url: 'not a url' },
+      ],
+    },
+    token: admin.token,
+  });
+  const [first, second] = added.inserted.map((cat) => cat.id);
+  await call('POST /api/admin/ingest', { body: { provider: 'local' }, token: admin.token });
+
+  // Votes
+  await call('POST /api/votes', { body: { cat_id: first, vote_type: 'upvote' }, token: user.token });
+  await call('POST /api/votes', { body: { cat_id: second, vote_type: 'downvote' }, token: admin.token });
+  await call('POST /api/votes', { body: { cat_id: 9999, vote_type: 'upvote' }, token: user.token, status: 404 });
+  await call('POST /api/votes', { body: { cat_id: first, vote_type: 'sideways' }, token: user.token, status: 400 });
+  await call('POST /api/votes', { body: { cat_id: first, vote_type: 'upvote' }, status: 401 });
+  await call('POST /api/votes', { body: { cat_id: first, vote_type: 'upvote' }, token: 'stale', status: 401 });
+  await call('DELETE /api/votes/{catId}', { params: { catId: second }, token: admin.token });
+  await call('DELETE /api/votes/{catId}', { params: { catId: second }, token: admin.token, status: 404 });
+
+  // Listing, signed out and signed in
+  const page = await call('GET /api/cats', { query: { limit: 2 } });
+  assert.ok(page.nextCursor);
+  await call('GET /api/cats', { query: { limit: 2, cursor: page.nextCursor } });
+  await call('GET /api/cats', { query: { sort: 'trending', unvoted: true }, token: user.token });
+  await call('GET /api/cats', { query: { sort: 'sideways' }, status: 400 });
+  await call('GET /api/cats', { query: { unvoted: true }, status: 401 });
+
+  // Winners
+  const leader = await call('GET /api/leader');
+  assert.strictEqual(leader.id, first);
+  await call('GET /api/winner');
+  await call('GET /api/winner', { query: { month: 'May' }, status: 400 });
+  await call('GET /api/winners', { query: { from: '2026-01', to: '2026-06' } });
+  await call('GET /api/winners', { query: { from: '2026-06', to: '2026-01' }, status: 400 });
+  await call('POST /api/admin/close-month', { body: { month: '2020-01' }, token: admin.token });
+  await call('POST /api/admin/close-month', { body: { month: '2999-01' }, token: admin.token, status: 400 });
+
+  // Moderation
+  await call('DELETE /api/admin/cats/{id}', { params: { id: first }, token: admin.token });
+  await call('DELETE /api/admin/cats/{id}', { params: { id: first }, token: admin.token, status: 404 });
+  await call('GET /api/admin/audit-log', { token: admin.token });
+  await call('GET /api/admin/audit-log', { token: user.token, status: 403 });
+  await call('POST /api/clear', { token: admin.token });
+
+  // Every documented operation has been seen to succeed
+  const documented = Object.entries(openApiDocument.paths).flatMap(([template, methods]) => (
+    Object.keys(methods).map((method) => `${method.toUpperCase()} ${template}`)
+  ));
+  assert.deepStrictEqual(documented.filter((route) => !succeeded.has(route)), []);
+});
+
+// `@typedef {Object} Name` blocks of client.js with their properties:
+// `{ name: { optional, nullable } }`
+function clientTypedefs() {
+  const source = fs.readFileSync(CLIENT_PATH, 'utf8');
+  const blocks = source.match(/\/\*\*[\s\S]*?\*\//g).filter((block) => block.includes('@typedef'));
+  return Object.fromEntries(blocks.map((block) => {
+    const [, name] = block.match(/@typedef \{Object\} (\w+)/);
+    const properties = [...block.matchAll(/@property \{(.+?)\} (\[?)(\w+)/g)].map(([, type, bracket, property]) => (
+      [property, { optional: bracket === '[', nullable: type.startsWith('?') }]
+    ));
+    return [name, Object.fromEntries(properties)];
+  }));
+}
+
+test('client.js types match the component schemas', () => {
+  const typedefs = clientTypedefs();
+  assert.ok(Object.keys(typedefs).length > 0);
+
+  Object.entries(typedefs).forEach(([name, properties]) => {
+    const component = openApiDocument.components.schemas[name];
+    assert.ok(component, `client.js type ${name} is not a component schema`);
+
+    const expected = Object.fromEntries(Object.entries(component.properties).map(([property, schema]) => [
+      property,
+      { optional: !(component.required || []).includes(property), nullable: Boolean(schema.nullable) },
+    ]));
+    assert.deepStrictEqual(properties, expected, `client.js type ${name} differs from the document`);
+  });
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const sqlite3 = require('sqlite3');
+const { instrumentDatabase, runInTransaction } = require('../lib/db');
+const { insertCats } = require('../lib/cats');
+
+function openDatabase(callback) {
+  const db = instrumentDatabase(new sqlite3.Database(':memory:'));
+  db.run(`
+    CREATE TABLE cats (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      image_url TEXT NOT NULL,
+      external_id TEXT UNIQUE,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `, (err) => callback(err, db));
+}
+
+const open = () => new Promise((resolve, reject) => {
+  openDatabase((err, db) => (err ? reject(err) : resolve(db)));
+});
+
+const all = (db, sql) => new Promise((resolve, reject) => {
+  db.all(sql, [], (err, rows) => (err ? reject(err) : resolve(rows)));
+});
+
+const batch = (prefix, size) => Array.from({ length: size }, (_, index) => ({
+  id: `${prefix}-${index}`,
+  url: `https://cats.example/${prefix}-${index}.jpg`,
+}));
+
+test('concurrent batches each get their own transaction', async () => {
+  const db = await open();
+
+  const results = await Promise.all([1, 2, 3, 4, 5].map((n) => new Promise((resolve, reject) => {
+    insertCats(db, batch(`batch${n}`, 20), {}, (err, result) => (err ? reject(err) : resolve(result)));
+  })));
+
+  results.forEach((result) => assert.strictEqual(result.inserted.length, 20));
+  const [{ count }] = await all(db, 'SELECT COUNT(*) AS count FROM cats');
+  assert.strictEqual(count, 100);
+});
+
+test('a rollback keeps writes made outside the transaction', async () => {
+  const db = await open();
+
+  const rolledBack = new Promise((resolve) => {
+    runInTransaction(db, (tx, done) => {
+      tx.run(`INSERT INTO cats (image_url, external_id) VALUES ('https://a', 'inside')`, (err) => {
+        if (err) return done(err);
+        // Another request writes while the transaction is open
+        db.run(`INSERT INTO cats (image_url, external_id) VALUES ('https://b', 'outside')`);
+        setTimeout(() => done(new Error('batch failed')), 20);
+      });
+    }, resolve);
+  });
+
+  const err = await rolledBack;
+  assert.strictEqual(err.message, 'batch failed');
+  const rows = await all(db, 'SELECT external_id FROM cats');
+  assert.deepStrictEqual(rows.map((row) => row.external_id), ['outside']);
+});
+
+test('a transaction waits for queries already in flight', async () => {
+  const db = await open();
+  const order = [];
+
+  await new Promise((resolve, reject) => {
+    db.run(`INSERT INTO cats (image_url, external_id) VALUES ('https://c', 'before')`, (err) => {
+      if (err) return reject(err);
+      order.push('query');
+    });
+    runInTransaction(db, (tx, done) => {
+      order.push('transaction');
+      done(null);
+    }, (err) => (err ? reject(err) : resolve()));
+  });
+
+  assert.deepStrictEqual(order, ['query', 'transaction']);
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const sqlite3 = require('sqlite3');
+const { instrumentDatabase } = require('../lib/db');
+const { idempotent } = require('../lib/idempotency');
+const { logger } = require('../lib/logger');
+
+// An app with one idempotent route that takes `delay` ms and counts its runs
+function startApp({ delay = 50, status = 200 } = {}) {
+  const db = instrumentDatabase(new sqlite3.Database(':memory:'));
+  const runs = [];
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { id: 1 };
+    req.log = logger.child({});
+    next();
+  });
+  app.post('/votes', idempotent(db), (req, res) => {
+    runs.push(req.body.vote_type);
+    setTimeout(() => res.status(status).json({ vote_type: req.body.vote_type, run: runs.length }), delay);
+  });
+
+  return new Promise((resolve, reject) => {
+    db.run(`
+      CREATE TABLE idempotency_keys (
+        user_id INTEGER NOT NULL,
+        key TEXT NOT NULL,
+        status INTEGER NOT NULL,
+        body TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, key)
+      )
+    `, (err) => {
+      if (err) return reject(err);
+      const server = app.listen(0, () => resolve({ server, runs, url: `http://localhost:${server.address().port}` }));
+    });
+  });
+}
+
+const vote = (url, key, voteType) => fetch(`${url}/votes`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', 'Idempotency-Key': key },
+  body: JSON.stringify({ vote_type: voteType }),
+}).then(async (response) => ({
+  status: response.status,
+  replayed: response.headers.get('Idempotent-Replayed'),
+  body: await response.json(),
+}));
+
+test('concurrent requests with the same key run the handler once', async (t) => {
+  const { server, runs, url } = await startApp();
+  t.after(() => server.close());
+
+  const [first, second] = await Promise.all([vote(url, 'same', 'upvote'), vote(url, 'same', 'downvote')]);
+
+  assert.strictEqual(runs.length, 1);
+  assert.deepStrictEqual(first.body, second.body);
+  assert.deepStrictEqual([first.replayed, second.replayed].sort(), ['true', null].sort());
+});
+
+test('a later request with the same key replays the stored response', async (t) => {
+  const { server, runs, url } = await startApp({ delay: 0 });
+  t.after(() => server.close());
+
+  const first = await vote(url, 'k', 'upvote');
+  const second = await vote(url, 'k', 'downvote');
+
+  assert.strictEqual(runs.length, 1);
+  assert.strictEqual(second.replayed, 'true');
+  assert.deepStrictEqual(second.body, first.body);
+});
+
+test('a server error releases the key so the request can be retried', async (t) => {
+  const { server, runs, url } = await startApp({ delay: 0, status: 500 });
+  t.after(() => server.close());
+
+  await vote(url, 'k', 'upvote');
+  const retry = await vote(url, 'k', 'upvote');
+
+  assert.strictEqual(runs.length, 2);
+  assert.strictEqual(retry.replayed, null);
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const sqlite3 = require('sqlite3');
+const { instrumentDatabase } = require('../lib/db');
+const { findMonthLeader, closeMissedMonths } = require('../lib/winners');
+
+// Votes as [cat_id, user_id, vote_type, created_at, updated_at]
+function openDatabase(votes) {
+  const db = instrumentDatabase(new sqlite3.Database(':memory:'));
+  return new Promise((resolve, reject) => {
+    db.run(`
+      CREATE TABLE votes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        cat_id INTEGER NOT NULL,
+        user_id INTEGER,
+        vote_type TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME
+      )
+    `);
+    db.run(`
+      CREATE TABLE monthly_winners (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        cat_id INTEGER NOT NULL,
+        month_year TEXT NOT NULL UNIQUE,
+        upvote_count INTEGER DEFAULT 0,
+        downvote_count INTEGER DEFAULT 0,
+        score REAL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `, (err) => {
+      if (err) return reject(err);
+      const placeholders = votes.map(() => '(?, ?, ?, ?, ?)').join(', ');
+      db.run(`INSERT INTO votes (cat_id, user_id, vote_type, created_at, updated_at) VALUES ${placeholders}`,
+        votes.flat(), (err) => (err ? reject(err) : resolve(db)));
+    });
+  });
+}
+
+const leaderOf = (db, month) => new Promise((resolve, reject) => {
+  findMonthLeader(db, month, (err, leader) => (err ? reject(err) : resolve(leader)));
+});
+
+const closeThrough = (db, month) => new Promise((resolve, reject) => {
+  closeMissedMonths(db, month, (err, closed) => (err ? reject(err) : resolve(closed)));
+});
+
+const storedWinners = (db) => new Promise((resolve, reject) => {
+  db.all('SELECT month_year, cat_id FROM monthly_winners ORDER BY month_year', [], (err, rows) => (
+    err ? reject(err) : resolve(rows)
+  ));
+});
+
+test('a vote changed in a later month counts in that month', async () => {
+  const db = await openDatabase([
+    [1, 1, 'upvote', '2026-09-10 12:00:00', null],
+    [2, 2, 'upvote', '2026-09-11 12:00:00', null],
+    [2, 3, 'upvote', '2026-09-12 12:00:00', null],
+    // Upvoted in September, flipped to a downvote in October
+    [2, 4, 'downvote', '2026-09-12 13:00:00', '2026-10-02 09:00:00'],
+  ]);
+
+  const september = await leaderOf(db, '2026-09');
+  assert.strictEqual(september.cat_id, 2);
+  assert.strictEqual(september.upvote_count, 2);
+  assert.strictEqual(september.downvote_count, 0);
+
+  // October only has the downvote, so nobody leads it
+  assert.strictEqual(await leaderOf(db, '2026-10'), null);
+});
+
+test('a vote counts once, in the month it was last cast', async () => {
+  const db = await openDatabase([
+    [1, 1, 'upvote', '2026-09-10 12:00:00', '2026-10-01 08:00:00'],
+  ]);
+
+  assert.strictEqual(await leaderOf(db, '2026-09'), null);
+  assert.strictEqual((await leaderOf(db, '2026-10')).upvote_count, 1);
+});
+
+test('every month missed since the latest winner is closed', async () => {
+  const db = await openDatabase([
+    [1, 1, 'upvote', '2026-07-10 12:00:00', null],
+    [2, 1, 'upvote', '2026-08-10 12:00:00', null],
+    [3, 1, 'upvote', '2026-10-03 12:00:00', null],
+  ]);
+
+  // Down from late August to early October: two rollovers missed
+  const first = await closeThrough(db, '2026-07');
+  assert.deepStrictEqual(first.map(({ month }) => month), ['2026-07']);
+
+  const closed = await closeThrough(db, '2026-09');
+  assert.deepStrictEqual(closed.map(({ month, winner }) => [month, winner && winner.cat_id]), [
+    ['2026-08', 2],
+    ['2026-09', null],
+  ]);
+  assert.deepStrictEqual(await storedWinners(db), [
+    { month_year: '2026-07', cat_id: 1 },
+    { month_year: '2026-08', cat_id: 2 },
+  ]);
+
+  // Months that already have a winner aren't closed again
+  assert.deepStrictEqual((await closeThrough(db, '2026-09')).map(({ month }) => month), ['2026-09']);
+});
+
+test('with no winners yet, months are closed from the first vote', async () => {
+  const db = await openDatabase([
+    [1, 1, 'upvote', '2026-05-20 12:00:00', null],
+    [2, 1, 'upvote', '2026-06-02 12:00:00', null],
+  ]);
+
+  const closed = await closeThrough(db, '2026-06');
+  assert.deepStrictEqual(closed.map(({ month }) => month), ['2026-05', '2026-06']);
+  assert.deepStrictEqual((await storedWinners(db)).map((row) => row.cat_id), [1, 2]);
+});
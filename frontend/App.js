@@ -3,39 +3,52 @@ import { useEffect } from 'react';
 import * as Sentry from '@sentry/react-native';
 import { NavigationContainer } from '@react-navigation/native';
 import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
+import { AuthProvider } from './src/context/AuthContext';
 import { CatsProvider } from './src/context/CatsContext';
+import { API_URL } from './src/services/api';
+import { createScrubber } from './src/services/scrubbing';
+import { createLogPolicy } from './src/services/logPolicy';
+import logPolicyConfig from './src/config/logPolicy.json';
 import CatListScreen from './src/screens/CatListScreen';
 import WinnerScreen from './src/screens/WinnerScreen';
+import HallOfFameScreen from './src/screens/HallOfFameScreen';
+import AccountScreen from './src/screens/AccountScreen';
+
+// Mask emails, tokens and passwords before anything leaves the device. Release
+// builds only send allowlisted attribute keys; EXPO_PUBLIC_SENTRY_SCRUB_KEYS
+// adds comma-separated keys to always mask.
+const scrubber = createScrubber({
+    mode: process.env.EXPO_PUBLIC_SENTRY_SCRUB_MODE || (__DEV__ ? 'denylist' : 'allowlist'),
+    sensitiveKeys: (process.env.EXPO_PUBLIC_SENTRY_SCRUB_KEYS || '')
+        .split(',')
+        .map(key => key.trim())
+        .filter(Boolean),
+});
+
+// Sampling and filtering rules for logs, tuned in src/config/logPolicy.json
+const logPolicy = createLogPolicy(logPolicyConfig, {
+    environment: __DEV__ ? 'development' : 'production',
+});
 
 // Initialize Sentry early, before creating any components
 Sentry.init({
     dsn: process.env.EXPO_PUBLIC_SENTRY_DSN,
     // Environment configuration
     environment: __DEV__ ? 'development' : 'production',
-    // Enable PII collection for debugging
-    sendDefaultPii: true,
+    // Don't attach IP addresses and other default PII
+    sendDefaultPii: false,
     // Logging configuration
     enableLogs: true,
 
-    beforeSendLog: (log) => {
-        // Only send performance logs if the operation was slow
-        if (log.attributes?.operation === 'fetchCats') {
-            const duration = log.attributes.duration_ms;
-            
-            // Discard logs for fast operations (under 2 seconds)
-            if (duration < 2000) {
-                return null;
-            }
-            
-            // Add a warning tag for slow operations
-            log.attributes.performance_warning = true;
-        }
-        
-        // Send the log to Sentry
-        return log;
-    },
+    beforeSend: scrubber.beforeSend,
+    beforeBreadcrumb: scrubber.beforeBreadcrumb,
+    // Scrub first so policy rules can add attributes the allowlist doesn't know
+    beforeSendLog: (log) => logPolicy.apply(scrubber.beforeSendLog(log)),
     // Performance monitoring
     tracesSampleRate: 1.0,
+    // Send sentry-trace/baggage headers to our backend so its spans join the
+    // app's traces
+    tracePropagationTargets: [API_URL],
     // Release tracking
     release: '1.0.0',
 });
@@ -47,6 +60,21 @@ Sentry.logger.info("App initialized", {
     timestamp: Date.now(),
 });
 
+// Periodically report how many logs each policy rule dropped
+setInterval(() => {
+    const droppedByRule = logPolicy.takeDroppedCounts();
+    const droppedTotal = Object.values(droppedByRule).reduce((sum, count) => sum + count, 0);
+    if (droppedTotal === 0) {
+        return;
+    }
+
+    Sentry.logger.info("Logs dropped by log policy", {
+        operation: "logPolicy",
+        droppedTotal,
+        droppedByRule: JSON.stringify(droppedByRule),
+    });
+}, logPolicy.reportIntervalMs);
+
 const Tab = createBottomTabNavigator();
 
 function AppTabs() {
@@ -108,6 +136,22 @@ function AppTabs() {
                         tabBarIcon: ({ color }) => <Text style={{ fontSize: 20, color }}>🏆</Text>,
                     }}
                 />
+                <Tab.Screen
+                    name="HallOfFame"
+                    component={HallOfFameScreen}
+                    options={{
+                        tabBarLabel: 'Hall of Fame',
+                        tabBarIcon: ({ color }) => <Text style={{ fontSize: 20, color }}>👑</Text>,
+                    }}
+                />
+                <Tab.Screen
+                    name="Account"
+                    component={AccountScreen}
+                    options={{
+                        tabBarLabel: 'Account',
+                        tabBarIcon: ({ color }) => <Text style={{ fontSize: 20, color }}>👤</Text>,
+                    }}
+                />
             </Tab.Navigator>
             <Button
                 title='Test Error (with logger)'
@@ -124,13 +168,17 @@ function AppTabs() {
     );
 }
 
+// The session is restored before the cats load, so they come with this
+// user's votes
 function RootApp() {
     return (
-        <CatsProvider>
-            <NavigationContainer>
-                <AppTabs />
-            </NavigationContainer>
-        </CatsProvider>
+        <AuthProvider>
+            <CatsProvider>
+                <NavigationContainer>
+                    <AppTabs />
+                </NavigationContainer>
+            </CatsProvider>
+        </AuthProvider>
     );
 }
 
@@ -1,5 +1,9 @@
+const path = require("path");
 const { getSentryExpoConfig } = require("@sentry/react-native/metro");
 
 const config = getSentryExpoConfig(__dirname);
 
+// Request schemas shared with the backend live outside the app
+config.watchFolders = [...(config.watchFolders || []), path.resolve(__dirname, "../shared")];
+
 module.exports = config;
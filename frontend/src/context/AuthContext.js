@@ -0,0 +1,152 @@
+import React, { createContext, useContext, useState, useEffect, useRef } from 'react';
+import { View, ActivityIndicator, StyleSheet } from 'react-native';
+import * as Sentry from '@sentry/react-native';
+import { setAuthToken, setCurrentUser, setTokenRefresher, setUnauthorizedHandler } from '../services/api';
+import { loginUser, logoutUser, refreshSession, registerUser } from '../services/auth';
+import { clearSession, isTokenExpired, loadSession, saveSession } from '../services/session';
+import { clearQueuedVotes } from '../services/voteQueue';
+
+const AuthContext = createContext();
+
+export function AuthProvider({ children }) {
+  // { userId, email } while signed in
+  const [user, setUser] = useState(null);
+  const [restoring, setRestoring] = useState(true);
+  // The full session, tokens included: { userId, email, token, refreshToken }
+  const session = useRef(null);
+
+  // Remember the session and make it the current one
+  const startSession = async (next) => {
+    session.current = next;
+    await saveSession(next);
+    setUser({ userId: next.userId, email: next.email });
+  };
+
+  // Log in with email and password; rejects with the API error on failure
+  const login = async (email, password) => {
+    const { userId, token, refreshToken } = await loginUser(email.trim(), password);
+    await startSession({ userId, email: email.trim(), token, refreshToken });
+  };
+
+  // Create an account and sign straight in
+  const register = async (email, password) => {
+    const { userId, token, refreshToken } = await registerUser(email.trim(), password);
+    await startSession({ userId, email: email.trim(), token, refreshToken });
+  };
+
+  // Renew the access token for api.js, persisting the rotated refresh token
+  const refresh = async () => {
+    const current = session.current;
+    if (!current?.refreshToken) {
+      throw new Error('No refresh token for this session');
+    }
+
+    const { token, refreshToken } = await refreshSession(current.refreshToken);
+    session.current = { ...current, token, refreshToken };
+    await saveSession(session.current);
+    return token;
+  };
+
+  // End the session. `reason` is 'user' for the Log out button, 'expired'
+  // when the backend stopped accepting the token.
+  const logout = async (reason = 'user') => {
+    const ended = session.current;
+    if (!ended) {
+      return;
+    }
+    session.current = null;
+
+    // Log session end
+    Sentry.logger.info("Session ended", {
+      reason,
+      operation: "logout",
+    });
+
+    // An expired session's refresh token is already useless to revoke
+    await logoutUser(reason === 'user' ? ended.refreshToken : null);
+    await clearSession();
+
+    // Queued votes were made by this user and can't be sent without them
+    const dropped = await clearQueuedVotes();
+    if (dropped > 0) {
+      Sentry.logger.warn("Dropped queued votes on logout", {
+        dropped,
+        operation: "logout",
+      });
+    }
+    setUser(null);
+  };
+
+  // The api.js hooks are registered once, so they call the latest versions
+  const logoutRef = useRef(logout);
+  logoutRef.current = logout;
+  const refreshRef = useRef(refresh);
+  refreshRef.current = refresh;
+
+  // Restore the persisted session before anything renders
+  useEffect(() => {
+    setUnauthorizedHandler(() => logoutRef.current('expired'));
+    setTokenRefresher(() => refreshRef.current());
+
+    loadSession().then(async (stored) => {
+      // An expired access token is fine while it can still be refreshed; the
+      // first request renews it
+      if (stored?.token && (stored.refreshToken || !isTokenExpired(stored.token))) {
+        session.current = stored;
+        setAuthToken(stored.token);
+        setCurrentUser(stored.userId, stored.email);
+        setUser({ userId: stored.userId, email: stored.email });
+      } else if (stored) {
+        // Log expired session found on startup
+        Sentry.logger.info("Stored session expired", {
+          userId: stored.userId,
+          operation: "restoreSession",
+        });
+        await clearSession();
+      }
+      setRestoring(false);
+    });
+
+    return () => {
+      setUnauthorizedHandler(null);
+      setTokenRefresher(null);
+    };
+  }, []);
+
+  if (restoring) {
+    return (
+      <View style={styles.centered}>
+        <ActivityIndicator size="large" color="#007AFF" />
+      </View>
+    );
+  }
+
+  return (
+    <AuthContext.Provider value={{
+      user,
+      isSignedIn: user !== null,
+      login,
+      register,
+      logout,
+    }}>
+      {children}
+    </AuthContext.Provider>
+  );
+}
+
+export function useAuth() {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth must be used within AuthProvider');
+  }
+  return context;
+}
+
+const styles = StyleSheet.create({
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#f5f5f5',
+  },
+});
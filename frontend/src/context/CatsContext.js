@@ -1,142 +1,403 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useRef } from 'react';
 import * as Sentry from '@sentry/react-native';
-import { api } from '../services/api';
+import NetInfo from '@react-native-community/netinfo';
+import { useAuth } from './AuthContext';
+import * as client from '../services/client';
+import { NetworkError } from '../services/errors';
+import { withOperation } from '../services/observability';
+import { loadJSON, saveJSON } from '../services/storage';
+import {
+  createIdempotencyKey,
+  enqueueVote,
+  getQueuedVotes,
+  replayQueue,
+} from '../services/voteQueue';
 
 const CatsContext = createContext();
 
+const LIST_OPTIONS_KEY = 'catListOptions';
+
+// How often queued votes are retried while online. A timeout or a backend
+// outage doesn't change connectivity, so reconnecting alone won't replay them.
+const REPLAY_INTERVAL_MS = 30000;
+
+// Sort and filters for the cat list, persisted across app restarts
+export const DEFAULT_LIST_OPTIONS = {
+  sort: 'top',
+  unvoted: false,
+  minVotes: null,
+  addedWithinDays: null,
+};
+
+// Query for GET /api/cats from a set of list options and an optional cursor
+function catsQuery(options, cursor) {
+  const query = { sort: options.sort };
+
+  if (options.unvoted) {
+    query.unvoted = true;
+  }
+  if (options.minVotes !== null) {
+    query.min_votes = options.minVotes;
+  }
+  if (options.addedWithinDays !== null) {
+    const since = new Date(Date.now() - options.addedWithinDays * 24 * 60 * 60 * 1000);
+    query.since = since.toISOString();
+  }
+  if (cursor) {
+    query.cursor = cursor;
+  }
+
+  return query;
+}
+
 export function CatsProvider({ children }) {
   const [cats, setCats] = useState([]);
   const [winner, setWinner] = useState(null);
+  const [leader, setLeader] = useState(null);
+  const [winnerLoading, setWinnerLoading] = useState(false);
+  const [winners, setWinners] = useState([]);
+  const [winnersLoading, setWinnersLoading] = useState(false);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [listOptions, setListOptions] = useState(DEFAULT_LIST_OPTIONS);
   const [loading, setLoading] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [error, setError] = useState(null);
+  const [voteError, setVoteError] = useState(null);
+  // Latest queued vote type per cat id, for votes made while offline
+  const [pendingVotes, setPendingVotes] = useState({});
+  const isOnline = useRef(true);
+  const { user } = useAuth();
+  const userId = user?.userId ?? null;
+  const lastUserId = useRef(userId);
+
+  // In-flight requests by key. Starting a request aborts the previous one with
+  // the same key, and everything still in flight is aborted on unmount.
+  const requests = useRef({});
+
+  const beginRequest = (key) => {
+    requests.current[key]?.abort();
+    const controller = new AbortController();
+    requests.current[key] = controller;
+    return controller;
+  };
+
+  // Returns false when a newer request replaced this one (or it was aborted),
+  // in which case its result should be ignored
+  const endRequest = (key, controller) => {
+    const isCurrent = requests.current[key] === controller;
+    if (isCurrent) {
+      delete requests.current[key];
+    }
+    return isCurrent && !controller.signal.aborted;
+  };
 
-  // Fetch cats from backend
-  const fetchCats = async () => {
+  // Fetch the first page of cats from backend
+  const fetchCats = async (options = listOptions) => {
+    const controller = beginRequest('cats');
     setLoading(true);
     setError(null);
     
-    // Log the start of data loading operation
-    Sentry.logger.info("Starting to fetch cats", {
-      operation: "fetchCats",
-      timestamp: Date.now(),
-    });
-    
     try {
-      const startTime = Date.now();
-      
-      // Get all cats with votes
-      const catsData = await api.get('/api/cats');
-      
-      // Only fetch from Cat API if database is empty
-      if (catsData.length === 0) {
-        // Log when database is empty and external API is needed
-        Sentry.logger.info("Database empty, fetching from external Cat API", {
-          operation: "fetchCats",
-          externalAPI: "thecatapi.com",
+      await withOperation('fetchCats', async (operation) => {
+        // Get the first page of cats with votes (the backend seeds and ingests cats itself)
+        const page = await client.fetchCats(catsQuery(options), { signal: controller.signal });
+        setCats(page.cats);
+        setNextCursor(page.nextCursor);
+        operation.setAttributes({ count: page.cats.length, hasMore: page.nextCursor !== null });
+      }, { sort: options.sort }, { description: 'Fetch cats' });
+    } catch (err) {
+      // Superseded by a newer fetch or the provider unmounted
+      if (err.name !== 'AbortError') {
+        setError(err);
+      }
+    } finally {
+      if (endRequest('cats', controller)) {
+        setLoading(false);
+      }
+    }
+  };
+
+  // Fetch the next page of cats and append it to the list
+  const fetchMoreCats = async () => {
+    if (!nextCursor || loading || loadingMore) {
+      return;
+    }
+
+    const controller = beginRequest('cats');
+    setLoadingMore(true);
+
+    try {
+      await withOperation('fetchMoreCats', async (operation) => {
+        const page = await client.fetchCats(catsQuery(listOptions, nextCursor), {
+          signal: controller.signal,
         });
-        
-        const response = await fetch('https://api.thecatapi.com/v1/images/search?limit=10');
-        const newCats = await response.json();
-
-        // Add to backend database
-        await api.post('/api/cats', { cats: newCats });
-
-        // Get all cats again with votes
-        const updatedCats = await api.get('/api/cats');
-        setCats(updatedCats);
-        
-        const duration = Date.now() - startTime;
-        
-        // Log successful fetch with performance metrics
-        Sentry.logger.info("Cats fetched and saved successfully", {
-          count: updatedCats.length,
-          duration_ms: duration,
-          source: "external_api",
+
+        // Scores can change between pages, so skip cats we already have
+        setCats(current => {
+          const seen = new Set(current.map(cat => cat.id));
+          return [...current, ...page.cats.filter(cat => !seen.has(cat.id))];
         });
-      } else {
-        setCats(catsData);
-        const duration = Date.now() - startTime;
-        
-        // Log successful fetch from database
-        Sentry.logger.info("Cats loaded from database", {
-          count: catsData.length,
-          duration_ms: duration,
-          source: "database",
-          operation: "fetchCats",
+        setNextCursor(page.nextCursor);
+        operation.setAttributes({ count: page.cats.length, hasMore: page.nextCursor !== null });
+      }, { loadedCount: cats.length }, { description: 'Fetch next page of cats', successLevel: 'debug' });
+    } catch {
+      // Already reported; the cats already shown stay on screen
+    } finally {
+      // A fresh fetchCats may have taken over; either way this page is done
+      endRequest('cats', controller);
+      setLoadingMore(false);
+    }
+  };
+
+  // Change the sort or filters, persist the choice and reload the list
+  const updateListOptions = async (changes) => {
+    const options = { ...listOptions, ...changes };
+    setListOptions(options);
+
+    // Log sort/filter change
+    Sentry.logger.info("Cat list options changed", {
+      operation: "updateListOptions",
+      sort: options.sort,
+      unvoted: options.unvoted,
+      minVotes: options.minVotes,
+      addedWithinDays: options.addedWithinDays,
+    });
+
+    await saveJSON(LIST_OPTIONS_KEY, options);
+    await fetchCats(options);
+  };
+
+  // Fetch the crowned winner and the current month's live leader
+  const fetchWinner = async () => {
+    const controller = beginRequest('winner');
+    setWinnerLoading(true);
+
+    try {
+      await withOperation('fetchWinner', async (operation) => {
+        const [winnerData, leaderData] = await Promise.all([
+          client.fetchWinner({}, { signal: controller.signal }),
+          client.fetchLeader({ signal: controller.signal }),
+        ]);
+        setWinner(winnerData);
+        setLeader(leaderData);
+        operation.setAttributes({
+          winnerId: winnerData?.id,
+          winnerScore: winnerData?.score,
+          leaderId: leaderData?.id,
+          leaderScore: leaderData?.score,
         });
+      }, {}, { description: 'Fetch winner', successLevel: 'debug' });
+    } catch {
+      // Already reported; keep showing the previous winner
+    } finally {
+      if (endRequest('winner', controller)) {
+        setWinnerLoading(false);
       }
-    } catch (err) {
-      setError(err.message);
-      
-      // Log error with full context
-      Sentry.logger.error("Failed to fetch cats", {
-        errorMessage: err.message,
-        errorType: err.name,
-        operation: "fetchCats",
-      });
+    }
+  };
+
+  // Fetch past monthly winners (Hall of Fame)
+  const fetchWinners = async () => {
+    const controller = beginRequest('winners');
+    setWinnersLoading(true);
+
+    try {
+      await withOperation('fetchWinners', async (operation) => {
+        const winnersData = await client.fetchWinners({}, { signal: controller.signal });
+        setWinners(winnersData);
+        operation.setAttributes({ count: winnersData.length });
+      }, {}, { description: 'Fetch winners history', successLevel: 'debug' });
+    } catch {
+      // Already reported; keep showing the previous history
     } finally {
-      setLoading(false);
+      if (endRequest('winners', controller)) {
+        setWinnersLoading(false);
+      }
     }
   };
 
-  // Fetch winner
-  const fetchWinner = async () => {
-    // Log winner fetch operation
-    Sentry.logger.debug("Fetching current winner", {
-      operation: "fetchWinner",
+  // Apply a vote to a cat's counts locally, replacing any previous vote
+  const applyVoteLocally = (cat, voteType) => {
+    const counts = { upvotes: cat.upvotes || 0, downvotes: cat.downvotes || 0 };
+    if (cat.my_vote) {
+      counts[`${cat.my_vote}s`] -= 1;
+    }
+    counts[`${voteType}s`] += 1;
+    return { ...cat, ...counts, my_vote: voteType };
+  };
+
+  // Replace one cat in the list, leaving the others untouched
+  const updateCat = (catId, update) => {
+    setCats(current => current.map(cat => (cat.id === catId ? update(cat) : cat)));
+  };
+
+  // Rebuild the pending-vote markers from the persisted queue
+  const refreshPendingVotes = async () => {
+    const queued = await getQueuedVotes();
+    const pending = {};
+    queued.forEach(entry => {
+      pending[entry.catId] = entry.voteType;
     });
-    
+    setPendingVotes(pending);
+    return queued.length;
+  };
+
+  // Votes are keyed by their idempotency key, so they never cancel each other.
+  // `tags` are added to the request's captured errors.
+  const sendVote = async (catId, voteType, idempotencyKey, tags = {}) => {
+    const key = `vote:${idempotencyKey}`;
+    const controller = beginRequest(key);
     try {
-      const winnerData = await api.get('/api/winner');
-      setWinner(winnerData);
-      
-      // Log successful winner fetch
-      Sentry.logger.debug("Winner fetched successfully", {
-        winnerId: winnerData?.id,
-        winnerScore: winnerData?.upvotes,
-      });
-    } catch (err) {
-      // Log winner fetch error
-      Sentry.logger.error("Failed to fetch winner", {
-        errorMessage: err.message,
-        operation: "fetchWinner",
-      });
+      return await client.submitVote(
+        { cat_id: catId, vote_type: voteType },
+        {
+          headers: { 'Idempotency-Key': idempotencyKey },
+          signal: controller.signal,
+          tags: { feature: 'voting', voteType, ...tags },
+        },
+      );
+    } finally {
+      endRequest(key, controller);
     }
   };
 
-  // Submit a vote
-  const submitVote = async (catId, voteType) => {
-    // Log vote submission attempt
-    Sentry.logger.info("Submitting vote", {
+  // Keep a vote that could not be sent now, to replay later
+  const queueVote = async (catId, voteType, idempotencyKey) => {
+    const { depth } = await enqueueVote(catId, voteType, idempotencyKey);
+    setPendingVotes(current => ({ ...current, [catId]: voteType }));
+
+    // Log queued vote with queue depth
+    Sentry.logger.info("Vote queued for replay", {
       catId: catId.toString(),
       voteType,
-      operation: "submitVote",
+      queueDepth: depth,
+      online: isOnline.current,
+      operation: "queueVote",
     });
-    
-    try {
-      await api.post('/api/votes', { cat_id: catId, vote_type: voteType });
-      
-      // Log successful vote submission
-      Sentry.logger.info("Vote submitted successfully", {
-        catId: catId.toString(),
-        voteType,
-      });
-      
-      // Refresh cats and winner
-      await fetchCats();
-      await fetchWinner();
-    } catch (err) {
-      // Log vote submission error
-      Sentry.logger.error("Vote submission failed", {
-        catId: catId.toString(),
-        voteType,
+  };
+
+  // Send queued votes in order (on reconnect, on a timer, or behind a new vote)
+  const replayVotes = async () => {
+    const outcome = await replayQueue(entry => sendVote(entry.catId, entry.voteType, entry.idempotencyKey));
+    if (outcome.skipped || (outcome.replayed.length === 0 && outcome.dropped.length === 0)) {
+      return;
+    }
+
+    outcome.replayed.forEach(({ entry, result }) => {
+      updateCat(entry.catId, cat => ({ ...cat, ...result.cat }));
+    });
+
+    outcome.dropped.forEach(({ entry, error: err }) => {
+      // Log each vote the server refused
+      Sentry.logger.warn("Queued vote rejected during replay", {
+        catId: entry.catId.toString(),
+        voteType: entry.voteType,
+        age_ms: Date.now() - entry.queuedAt,
         errorMessage: err.message,
+        operation: "replayVotes",
       });
-      
-      setError(err.message);
+    });
+
+    await refreshPendingVotes();
+
+    // Log replay outcome
+    Sentry.logger.info("Offline vote queue replayed", {
+      replayed: outcome.replayed.length,
+      dropped: outcome.dropped.length,
+      queueDepth: outcome.remaining,
+      operation: "replayVotes",
+    });
+
+    // Rejected votes leave optimistic counts behind, so reload the list
+    if (outcome.dropped.length > 0) {
+      await fetchCats();
     }
+    fetchWinner();
   };
 
+  // The connectivity listener is registered once, so it calls the latest replay
+  const replayVotesRef = useRef(replayVotes);
+  replayVotesRef.current = replayVotes;
+
+  // Submit a vote, updating the cat optimistically and rolling back on failure.
+  // Votes made offline, or that can't reach the server, stay applied and are
+  // queued for replay instead; other failures are rethrown once rolled back.
+  // While older votes are queued a new one goes behind them, so it can't be
+  // overwritten when they replay. The operation's span ties the vote
+  // request and the backend's handling of it to the tap. `options.tags` (such
+  // as the calling component) go on its captured errors, including the request's.
+  const submitVote = (catId, voteType, { tags = {} } = {}) => withOperation('submitVote', async (operation) => {
+    const previous = cats.find(cat => cat.id === catId);
+    if (previous && previous.my_vote !== voteType) {
+      updateCat(catId, cat => applyVoteLocally(cat, voteType));
+    }
+    setVoteError(null);
+
+    const idempotencyKey = createIdempotencyKey();
+    const queueWaiting = (await getQueuedVotes()).length > 0;
+    if (!isOnline.current || queueWaiting) {
+      await queueVote(catId, voteType, idempotencyKey);
+      operation.setAttributes({ queued: true });
+      if (isOnline.current) {
+        replayVotes();
+      }
+      return;
+    }
+  
+    try {
+      const result = await sendVote(catId, voteType, idempotencyKey, tags);
+    
+      // Settle on the server's tallies (they include other users' votes)
+      updateCat(catId, cat => ({ ...cat, ...result.cat }));
+
+      // The leader may have changed; refresh it without touching the list
+      fetchWinner();
+    } catch (err) {
+      // The provider unmounted mid-request; there is no screen left to update
+      if (err.name === 'AbortError') {
+        return;
+      }
+      if (err instanceof NetworkError) {
+        await queueVote(catId, voteType, idempotencyKey);
+        operation.setAttributes({ queued: true });
+        return;
+      }
+
+      // Roll back the optimistic update
+      if (previous) {
+        updateCat(catId, cat => ({
+          ...cat,
+          upvotes: previous.upvotes,
+          downvotes: previous.downvotes,
+          my_vote: previous.my_vote,
+        }));
+      }
+      setVoteError(err);
+      throw err;
+    }
+  }, { catId: catId.toString(), voteType }, {
+    description: 'Submit vote',
+    op: 'ui.action.vote',
+    category: 'vote',
+    tags: { feature: 'voting', voteType, ...tags },
+  });
+
+  const dismissVoteError = () => setVoteError(null);
+
+  // Keep retrying queued votes while there are any
+  const hasPendingVotes = Object.keys(pendingVotes).length > 0;
+  useEffect(() => {
+    if (!hasPendingVotes) {
+      return undefined;
+    }
+    const timer = setInterval(() => {
+      if (isOnline.current) {
+        replayVotesRef.current();
+      }
+    }, REPLAY_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [hasPendingVotes]);
+
   // Load data on mount
   useEffect(() => {
     // Log app initialization
@@ -145,10 +406,41 @@ export function CatsProvider({ children }) {
       event: "mount",
     });
     
-    fetchCats();
+    // Restore the persisted sort and filters before the first fetch
+    loadJSON(LIST_OPTIONS_KEY, DEFAULT_LIST_OPTIONS).then(savedOptions => {
+      const options = { ...DEFAULT_LIST_OPTIONS, ...savedOptions };
+      setListOptions(options);
+      fetchCats(options);
+    });
     fetchWinner();
+    fetchWinners();
+
+    // Show votes still queued from a previous session, and replay them now
+    // and whenever the device comes back online
+    refreshPendingVotes();
+    const unsubscribeNetInfo = NetInfo.addEventListener(state => {
+      const online = state.isConnected !== false && state.isInternetReachable !== false;
+      const reconnected = online && !isOnline.current;
+      isOnline.current = online;
+
+      // Log connectivity changes
+      Sentry.logger.info("Connectivity changed", {
+        online,
+        connectionType: state.type,
+      });
+
+      if (reconnected) {
+        replayVotesRef.current();
+      }
+    });
+    replayVotesRef.current();
     
     return () => {
+      unsubscribeNetInfo();
+
+      // Cancel everything still in flight so nothing updates unmounted state
+      Object.values(requests.current).forEach(controller => controller.abort());
+
       // Log cleanup when provider unmounts
       Sentry.logger.debug("CatsProvider unmounting", {
         component: "CatsProvider",
@@ -158,15 +450,39 @@ export function CatsProvider({ children }) {
     };
   }, []);
 
+  // Reload the list when someone logs in or out, so `my_vote` belongs to
+  // whoever is signed in now
+  useEffect(() => {
+    if (lastUserId.current === userId) {
+      return;
+    }
+    lastUserId.current = userId;
+    refreshPendingVotes();
+    fetchCats();
+  }, [userId]);
+
   return (
     <CatsContext.Provider value={{
       cats,
       winner,
+      leader,
+      winnerLoading,
+      winners,
+      winnersLoading,
       loading,
+      loadingMore,
+      hasMoreCats: nextCursor !== null,
+      listOptions,
       error,
+      voteError,
+      pendingVotes,
+      dismissVoteError,
       submitVote,
       fetchCats,
+      fetchMoreCats,
+      updateListOptions,
       fetchWinner,
+      fetchWinners,
     }}>
       {children}
     </CatsContext.Provider>
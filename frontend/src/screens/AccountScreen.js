@@ -0,0 +1,68 @@
+import React, { useState } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { useAuth } from '../context/AuthContext';
+import LoginScreen from './LoginScreen';
+import RegisterScreen from './RegisterScreen';
+
+// Login or registration while signed out, the session once signed in
+export default function AccountScreen() {
+  const { user, logout } = useAuth();
+  const [registering, setRegistering] = useState(false);
+
+  if (!user) {
+    return registering ? (
+      <RegisterScreen onSwitchToLogin={() => setRegistering(false)} />
+    ) : (
+      <LoginScreen onSwitchToRegister={() => setRegistering(true)} />
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>👤 Account</Text>
+      <Text style={styles.label}>Signed in as</Text>
+      <Text style={styles.email}>{user.email}</Text>
+
+      <TouchableOpacity style={styles.logoutButton} onPress={() => logout()}>
+        <Text style={styles.buttonText}>Log out</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+    padding: 24,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    marginBottom: 24,
+    color: '#333',
+  },
+  label: {
+    fontSize: 14,
+    color: '#999',
+  },
+  email: {
+    fontSize: 18,
+    color: '#333',
+    marginTop: 4,
+  },
+  logoutButton: {
+    backgroundColor: '#f44336',
+    paddingHorizontal: 24,
+    paddingVertical: 12,
+    borderRadius: 6,
+    marginTop: 32,
+  },
+  buttonText: {
+    color: '#fff',
+    fontWeight: '600',
+    fontSize: 16,
+  },
+});
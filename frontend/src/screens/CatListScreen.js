@@ -1,98 +1,165 @@
-import React from 'react';
-import { View, ScrollView, Image, TouchableOpacity, Text, StyleSheet, ActivityIndicator, Button } from 'react-native';
+import React, { useRef, useState } from 'react';
+import {
+  View,
+  FlatList,
+  ScrollView,
+  Image,
+  TouchableOpacity,
+  Text,
+  StyleSheet,
+  ActivityIndicator,
+  Button,
+} from 'react-native';
 import * as Sentry from '@sentry/react-native';
+import { useAuth } from '../context/AuthContext';
 import { useCats } from '../context/CatsContext';
+import { describeError } from '../services/errors';
 
-export default function CatListScreen() {
-  const { cats, loading, error, submitVote } = useCats();
+const SORT_OPTIONS = [
+  { value: 'top', label: 'Top' },
+  { value: 'trending', label: 'Trending' },
+  { value: 'newest', label: 'Newest' },
+  { value: 'net', label: 'Net score' },
+  { value: 'controversial', label: 'Controversial' },
+];
 
-  // Handle vote with Sentry tracking (using both logger and breadcrumbs)
+// Vote failures worth a more specific message than the default
+const VOTE_ERROR_MESSAGES = {
+  not_found: 'That cat is no longer in the running.',
+  session_expired: 'Your session has expired. Log in again to vote.',
+};
+
+// Filters toggle between "off" and a single preset value
+const FILTER_OPTIONS = [
+  { key: 'unvoted', label: 'Not voted', on: true, off: false },
+  { key: 'minVotes', label: '5+ votes', on: 5, off: null },
+  { key: 'addedWithinDays', label: 'New this week', on: 7, off: null },
+];
+
+function Chip({ label, selected, onPress }) {
+  return (
+    <TouchableOpacity
+      style={[styles.chip, selected && styles.chipSelected]}
+      onPress={onPress}
+    >
+      <Text style={[styles.chipText, selected && styles.chipTextSelected]}>{label}</Text>
+    </TouchableOpacity>
+  );
+}
+
+// Vote button that shows a spinner while its vote is being sent and offers a
+// retry after it failed
+function VoteButton({ label, style, status, disabled, onPress }) {
+  return (
+    <TouchableOpacity
+      style={[style, disabled && styles.voteButtonDisabled, status === 'failed' && styles.voteButtonFailed]}
+      onPress={onPress}
+      disabled={disabled}
+    >
+      {status === 'sending' ? (
+        <ActivityIndicator size="small" color="#fff" />
+      ) : (
+        <Text style={styles.buttonText}>{status === 'failed' ? `Retry ${label}` : label}</Text>
+      )}
+    </TouchableOpacity>
+  );
+}
+
+// Sort and filter selection, persisted and applied through CatsContext
+function SortFilterBar({ options, onChange }) {
+  return (
+    <View style={styles.filterBar}>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chipRow}>
+        {SORT_OPTIONS.map(sort => (
+          <Chip
+            key={sort.value}
+            label={sort.label}
+            selected={options.sort === sort.value}
+            onPress={() => onChange({ sort: sort.value })}
+          />
+        ))}
+      </ScrollView>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chipRow}>
+        {FILTER_OPTIONS.map(filter => {
+          const selected = options[filter.key] === filter.on;
+          return (
+            <Chip
+              key={filter.key}
+              label={filter.label}
+              selected={selected}
+              onPress={() => onChange({ [filter.key]: selected ? filter.off : filter.on })}
+            />
+          );
+        })}
+      </ScrollView>
+    </View>
+  );
+}
+
+export default function CatListScreen({ navigation }) {
+  const { isSignedIn } = useAuth();
+  const {
+    cats,
+    loading,
+    loadingMore,
+    hasMoreCats,
+    error,
+    listOptions,
+    voteError,
+    pendingVotes,
+    dismissVoteError,
+    submitVote,
+    fetchMoreCats,
+    updateListOptions,
+  } = useCats();
+
+  // Vote state per cat id: { status: 'sending' | 'failed', voteType }
+  const [voteStatus, setVoteStatus] = useState({});
+  // Cats with a vote in flight, checked synchronously so a quick double tap
+  // can't slip in before the re-render disables the buttons
+  const votesInFlight = useRef(new Set());
+
+  // Handle a vote tap. submitVote is the tap's operation: it only reports
+  // success once the vote is saved (or queued for replay), and its failure is
+  // reported once, tagged with this component.
   const handleVote = async (catId, voteType) => {
-    // Log user interaction with structured attributes
-    Sentry.logger.info("User clicked vote button", {
-      catId: catId.toString(),
-      voteType,
-      feature: "voting",
-      action: "button_click",
-    });
-    
-    // Create a scope for this operation with tags
-    Sentry.withScope((scope) => {
-      // Add tags for filtering in Sentry dashboard
-      scope.setTag('feature', 'voting');
-      scope.setTag('voteType', voteType);
-      scope.setTag('appVersion', '1.0.0');
-
-      // Add breadcrumb BEFORE the action
-      Sentry.addBreadcrumb({
-        category: 'user-action',
-        message: `User initiating ${voteType} for cat ${catId}`,
-        level: 'info',
-        data: {
-          catId: catId.toString(),
-          voteType,
-        },
+    // Votes belong to an account, so send signed-out users to log in first
+    if (!isSignedIn) {
+      Sentry.logger.info("Vote tap while signed out, showing login", {
+        catId: catId.toString(),
+        voteType,
+        feature: "voting",
       });
+      navigation.navigate('Account');
+      return;
+    }
+
+    if (votesInFlight.current.has(catId)) {
+      Sentry.logger.debug("Ignored vote tap while a vote is in flight", {
+        catId: catId.toString(),
+        voteType,
+        feature: "voting",
+      });
+      return;
+    }
+
+    votesInFlight.current.add(catId);
+    setVoteStatus(current => ({ ...current, [catId]: { status: 'sending', voteType } }));
 
-      try {
-        submitVote(catId, voteType);
-
-        // Log successful vote using logger
-        Sentry.logger.info("Vote completed successfully", {
-          catId: catId.toString(),
-          voteType,
-          status: "success",
-        });
-
-        // Add breadcrumb on SUCCESS
-        Sentry.addBreadcrumb({
-          category: 'user-action',
-          message: `Successfully voted ${voteType} for cat ${catId}`,
-          level: 'info',
-          data: {
-            catId: catId.toString(),
-            voteType,
-            status: 'success',
-          },
-        });
-      } catch (err) {
-        // Log error using logger with error level
-        Sentry.logger.error("Vote failed", {
-          catId: catId.toString(),
-          voteType,
-          errorMessage: err.message,
-          component: "CatListScreen",
-        });
-
-        // Add breadcrumb on FAILURE
-        Sentry.addBreadcrumb({
-          category: 'error',
-          message: `Vote failed for cat ${catId}: ${err.message}`,
-          level: 'warning',
-          data: {
-            catId: catId.toString(),
-            voteType,
-            errorMessage: err.message,
-          },
-        });
-
-        // Capture the exception with context
-        Sentry.captureException(err, {
-          level: 'error',
-          tags: {
-            component: 'CatListScreen',
-            operation: 'handleVote',
-            voteType,
-          },
-          contexts: {
-            vote: {
-              catId,
-              voteType,
-            },
-          },
-        });
-      }
-    });
+    try {
+      await submitVote(catId, voteType, { tags: { component: 'CatListScreen' } });
+
+      setVoteStatus(current => {
+        const next = { ...current };
+        delete next[catId];
+        return next;
+      });
+    } catch {
+      // Already reported and shown in the vote error banner
+      setVoteStatus(current => ({ ...current, [catId]: { status: 'failed', voteType } }));
+    } finally {
+      votesInFlight.current.delete(catId);
+    }
   };
 
   // Handle test error
@@ -119,62 +186,106 @@ export default function CatListScreen() {
     );
   }
 
+  // Keep the filter bar on error so a filter that fails can be switched off
   if (error) {
     return (
       <View style={styles.container}>
-        <Text style={styles.errorText}>Error: {error}</Text>
+        <SortFilterBar options={listOptions} onChange={updateListOptions} />
+        <Text style={styles.errorText}>{describeError(error)}</Text>
       </View>
     );
   }
 
-  if (cats.length === 0) {
-    return (
-      <View style={styles.container}>
-        <Text style={styles.emptyText}>No cats loaded yet</Text>
+  // Status of the given button: only the one that was tapped shows it
+  const statusFor = (catId, voteType) => (
+    voteStatus[catId]?.voteType === voteType ? voteStatus[catId].status : 'idle'
+  );
+
+  const renderCat = ({ item: cat }) => (
+    <View style={styles.catCard}>
+      <Image
+        source={{ uri: cat.image_url }}
+        style={styles.catImage}
+        resizeMode="cover"
+      />
+      <View style={styles.voteSection}>
+        <VoteButton
+          label="👍 Up"
+          style={styles.upvoteButton}
+          status={statusFor(cat.id, 'upvote')}
+          disabled={voteStatus[cat.id]?.status === 'sending'}
+          onPress={() => handleVote(cat.id, 'upvote')}
+        />
+        <View style={styles.scoreBox}>
+          <Text style={styles.score}>{cat.upvotes || 0}</Text>
+          <Text style={styles.scoreLabel}>up</Text>
+        </View>
+        <View style={styles.scoreBox}>
+          <Text style={styles.score}>{cat.downvotes || 0}</Text>
+          <Text style={styles.scoreLabel}>down</Text>
+        </View>
+        <VoteButton
+          label="👎 Down"
+          style={styles.downvoteButton}
+          status={statusFor(cat.id, 'downvote')}
+          disabled={voteStatus[cat.id]?.status === 'sending'}
+          onPress={() => handleVote(cat.id, 'downvote')}
+        />
       </View>
-    );
-  }
+      {pendingVotes[cat.id] && (
+        <Text style={styles.pendingText}>
+          ⏳ {pendingVotes[cat.id] === 'upvote' ? 'Upvote' : 'Downvote'} waiting to sync
+        </Text>
+      )}
+    </View>
+  );
 
   return (
-    <ScrollView style={styles.container}>
-      <Text style={styles.title}>Vote on Cats</Text>
-      <Button title="Test Error (Send to Sentry)" onPress={handleTestError} color="#f44336" />
-      {cats.map(cat => (
-        <View key={cat.id} style={styles.catCard}>
-          <Image
-            source={{ uri: cat.image_url }}
-            style={styles.catImage}
-            resizeMode="cover"
-          />
-          <View style={styles.voteSection}>
-            <TouchableOpacity
-              style={styles.upvoteButton}
-              onPress={() => handleVote(cat.id, 'upvote')}
-            >
-              <Text style={styles.buttonText}>👍 Up</Text>
-            </TouchableOpacity>
-            <View style={styles.scoreBox}>
-              <Text style={styles.score}>{cat.upvotes || 0}</Text>
-              <Text style={styles.scoreLabel}>up</Text>
-            </View>
-            <View style={styles.scoreBox}>
-              <Text style={styles.score}>{cat.downvotes || 0}</Text>
-              <Text style={styles.scoreLabel}>down</Text>
-            </View>
-            <TouchableOpacity
-              style={styles.downvoteButton}
-              onPress={() => handleVote(cat.id, 'downvote')}
-            >
-              <Text style={styles.buttonText}>👎 Down</Text>
-            </TouchableOpacity>
-          </View>
-        </View>
-      ))}
-    </ScrollView>
+    <View style={styles.screen}>
+      {voteError && (
+        <TouchableOpacity style={styles.voteErrorBanner} onPress={dismissVoteError}>
+          <Text style={styles.voteErrorText}>
+            Your vote couldn't be saved. {describeError(voteError, VOTE_ERROR_MESSAGES)}
+          </Text>
+          <Text style={styles.voteErrorDismiss}>Tap to dismiss</Text>
+        </TouchableOpacity>
+      )}
+      <FlatList
+        style={styles.container}
+        data={cats}
+        keyExtractor={cat => cat.id.toString()}
+        renderItem={renderCat}
+        // Cards also depend on vote and pending state, not just the cats
+        extraData={[voteStatus, pendingVotes]}
+        ListHeaderComponent={
+          <>
+            <Text style={styles.title}>Vote on Cats</Text>
+            {!isSignedIn && (
+              <TouchableOpacity style={styles.signInBanner} onPress={() => navigation.navigate('Account')}>
+                <Text style={styles.signInText}>Log in or create an account to vote</Text>
+              </TouchableOpacity>
+            )}
+            <Button title="Test Error (Send to Sentry)" onPress={handleTestError} color="#f44336" />
+            <SortFilterBar options={listOptions} onChange={updateListOptions} />
+          </>
+        }
+        ListEmptyComponent={
+          <Text style={styles.emptyText}>No cats match these filters</Text>
+        }
+        ListFooterComponent={
+          loadingMore ? <ActivityIndicator style={styles.footer} color="#0000ff" /> : null
+        }
+        onEndReached={hasMoreCats ? fetchMoreCats : undefined}
+        onEndReachedThreshold={0.5}
+      />
+    </View>
   );
 }
 
 const styles = StyleSheet.create({
+  screen: {
+    flex: 1,
+  },
   container: {
     flex: 1,
     backgroundColor: '#f5f5f5',
@@ -187,6 +298,57 @@ const styles = StyleSheet.create({
     marginBottom: 16,
     color: '#333',
   },
+  voteErrorBanner: {
+    backgroundColor: '#ffebee',
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+  },
+  voteErrorText: {
+    color: '#d32f2f',
+    fontSize: 14,
+  },
+  voteErrorDismiss: {
+    color: '#999',
+    fontSize: 12,
+    marginTop: 2,
+  },
+  signInBanner: {
+    backgroundColor: '#e3f2fd',
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    marginBottom: 12,
+  },
+  signInText: {
+    color: '#1565c0',
+    fontSize: 14,
+    textAlign: 'center',
+  },
+  filterBar: {
+    marginVertical: 12,
+  },
+  chipRow: {
+    paddingHorizontal: 12,
+    paddingVertical: 4,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#2196F3',
+    backgroundColor: '#fff',
+  },
+  chipSelected: {
+    backgroundColor: '#2196F3',
+  },
+  chipText: {
+    fontSize: 12,
+    color: '#2196F3',
+  },
+  chipTextSelected: {
+    color: '#fff',
+  },
   catCard: {
     marginHorizontal: 12,
     marginBottom: 16,
@@ -218,11 +380,24 @@ const styles = StyleSheet.create({
     paddingVertical: 8,
     borderRadius: 6,
   },
+  voteButtonDisabled: {
+    opacity: 0.6,
+  },
+  voteButtonFailed: {
+    borderWidth: 2,
+    borderColor: '#ffb300',
+  },
   buttonText: {
     color: '#fff',
     fontWeight: '600',
     fontSize: 12,
   },
+  pendingText: {
+    fontSize: 12,
+    color: '#f57f17',
+    textAlign: 'center',
+    paddingBottom: 8,
+  },
   scoreBox: {
     alignItems: 'center',
   },
@@ -245,6 +420,9 @@ const styles = StyleSheet.create({
     color: '#d32f2f',
     textAlign: 'center',
   },
+  footer: {
+    marginVertical: 16,
+  },
   emptyText: {
     fontSize: 16,
     color: '#999',
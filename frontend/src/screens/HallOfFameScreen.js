@@ -0,0 +1,122 @@
+import React from 'react';
+import { View, Image, Text, StyleSheet, SectionList, RefreshControl } from 'react-native';
+import * as Sentry from '@sentry/react-native';
+import { useCats } from '../context/CatsContext';
+
+// Turn a YYYY-MM month key into a readable header, e.g. "September 2026"
+function formatMonth(monthYear) {
+  const [year, month] = monthYear.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, 1)).toLocaleDateString(undefined, {
+    month: 'long',
+    year: 'numeric',
+    timeZone: 'UTC',
+  });
+}
+
+export default function HallOfFameScreen() {
+  const { winners, winnersLoading, fetchWinners } = useCats();
+
+  // One section per month, newest first (the server already sorts them)
+  const sections = winners.map(winner => ({
+    title: formatMonth(winner.month_year),
+    data: [winner],
+  }));
+
+  const handleRefresh = () => {
+    // Log pull-to-refresh interaction
+    Sentry.logger.info("User refreshed hall of fame", {
+      feature: "hall_of_fame",
+      action: "pull_to_refresh",
+    });
+
+    fetchWinners();
+  };
+
+  return (
+    <SectionList
+      style={styles.container}
+      sections={sections}
+      keyExtractor={item => item.month_year}
+      ListHeaderComponent={<Text style={styles.title}>👑 Hall of Fame</Text>}
+      ListEmptyComponent={
+        winnersLoading ? null : (
+          <Text style={styles.emptyText}>No winners crowned yet!</Text>
+        )
+      }
+      renderSectionHeader={({ section }) => (
+        <Text style={styles.monthHeader}>{section.title}</Text>
+      )}
+      renderItem={({ item }) => (
+        <View style={styles.winnerCard}>
+          <Image
+            source={{ uri: item.image_url }}
+            style={styles.winnerImage}
+            resizeMode="cover"
+          />
+          <View style={styles.info}>
+            <Text style={styles.upvotes}>👍 {item.upvote_count || 0}</Text>
+            <Text style={styles.downvotes}>👎 {item.downvote_count || 0}</Text>
+          </View>
+        </View>
+      )}
+      refreshControl={
+        <RefreshControl refreshing={winnersLoading} onRefresh={handleRefresh} />
+      }
+    />
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff9c4',
+    paddingTop: 16,
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginBottom: 16,
+    color: '#f57f17',
+  },
+  monthHeader: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    marginHorizontal: 12,
+    marginBottom: 8,
+  },
+  winnerCard: {
+    marginHorizontal: 12,
+    marginBottom: 20,
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    overflow: 'hidden',
+    elevation: 4,
+  },
+  winnerImage: {
+    width: '100%',
+    height: 250,
+  },
+  info: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    padding: 12,
+  },
+  upvotes: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#4CAF50',
+  },
+  downvotes: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#f44336',
+  },
+  emptyText: {
+    fontSize: 18,
+    color: '#666',
+    textAlign: 'center',
+    marginTop: 50,
+  },
+});
@@ -0,0 +1,141 @@
+import React, { useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity, ActivityIndicator, StyleSheet } from 'react-native';
+import { useAuth } from '../context/AuthContext';
+import { CREDENTIAL_LABELS, validateCredentials } from '../services/auth';
+import { describeError, fieldErrorsFrom } from '../services/errors';
+import { useOperation } from '../services/observability';
+
+export default function LoginScreen({ onSwitchToRegister }) {
+  const { login } = useAuth();
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
+  const { run, running, error } = useOperation('submitLogin', login, {
+    description: 'Login form submit',
+    category: 'user-action',
+    attributes: () => ({ authMethod: 'password' }),
+  });
+
+  // Problems the server found with fields that passed the local checks
+  const serverErrors = fieldErrorsFrom(error, CREDENTIAL_LABELS);
+  const errors = { ...serverErrors, ...fieldErrors };
+
+  const handleSubmit = () => {
+    const problems = validateCredentials(email, password);
+    setFieldErrors(problems);
+    if (Object.keys(problems).length === 0) {
+      run(email, password);
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>Log in to vote</Text>
+
+      <TextInput
+        style={[styles.input, errors.email && styles.inputInvalid]}
+        placeholder="Email"
+        value={email}
+        onChangeText={setEmail}
+        autoCapitalize="none"
+        autoComplete="email"
+        keyboardType="email-address"
+        editable={!running}
+      />
+      {errors.email && <Text style={styles.fieldError}>{errors.email}</Text>}
+
+      <TextInput
+        style={[styles.input, errors.password && styles.inputInvalid]}
+        placeholder="Password"
+        value={password}
+        onChangeText={setPassword}
+        secureTextEntry
+        autoComplete="current-password"
+        editable={!running}
+        onSubmitEditing={handleSubmit}
+      />
+      {errors.password && <Text style={styles.fieldError}>{errors.password}</Text>}
+
+      {error && Object.keys(serverErrors).length === 0 && (
+        <Text style={styles.formError}>{describeError(error)}</Text>
+      )}
+
+      <TouchableOpacity
+        style={[styles.button, running && styles.buttonDisabled]}
+        onPress={handleSubmit}
+        disabled={running}
+      >
+        {running ? (
+          <ActivityIndicator size="small" color="#fff" />
+        ) : (
+          <Text style={styles.buttonText}>Log in</Text>
+        )}
+      </TouchableOpacity>
+
+      <TouchableOpacity onPress={onSwitchToRegister} disabled={running}>
+        <Text style={styles.switchText}>New here? Create an account</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+    padding: 24,
+    justifyContent: 'center',
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginBottom: 24,
+    color: '#333',
+  },
+  input: {
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 6,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 16,
+    marginTop: 12,
+  },
+  inputInvalid: {
+    borderColor: '#d32f2f',
+  },
+  fieldError: {
+    color: '#d32f2f',
+    fontSize: 12,
+    marginTop: 4,
+  },
+  formError: {
+    color: '#d32f2f',
+    fontSize: 14,
+    textAlign: 'center',
+    marginTop: 16,
+  },
+  button: {
+    backgroundColor: '#2196F3',
+    paddingVertical: 12,
+    borderRadius: 6,
+    alignItems: 'center',
+    marginTop: 24,
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+  },
+  buttonText: {
+    color: '#fff',
+    fontWeight: '600',
+    fontSize: 16,
+  },
+  switchText: {
+    color: '#2196F3',
+    fontSize: 14,
+    textAlign: 'center',
+    marginTop: 16,
+  },
+});
@@ -0,0 +1,155 @@
+import React, { useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity, ActivityIndicator, StyleSheet } from 'react-native';
+import { useAuth } from '../context/AuthContext';
+import { MIN_PASSWORD_LENGTH, CREDENTIAL_LABELS, validateCredentials } from '../services/auth';
+import { describeError, fieldErrorsFrom } from '../services/errors';
+import { useOperation } from '../services/observability';
+
+export default function RegisterScreen({ onSwitchToLogin }) {
+  const { register } = useAuth();
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
+  const { run, running, error } = useOperation('submitRegistration', register, {
+    description: 'Registration form submit',
+    category: 'user-action',
+  });
+
+  // Problems the server found with fields that passed the local checks
+  const serverErrors = fieldErrorsFrom(error, CREDENTIAL_LABELS);
+  const errors = { ...serverErrors, ...fieldErrors };
+
+  const handleSubmit = () => {
+    const problems = validateCredentials(email, password, { isRegistration: true });
+    if (!problems.password && confirmation !== password) {
+      problems.confirmation = "Passwords don't match";
+    }
+    setFieldErrors(problems);
+    if (Object.keys(problems).length === 0) {
+      run(email, password);
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>Create an account</Text>
+
+      <TextInput
+        style={[styles.input, errors.email && styles.inputInvalid]}
+        placeholder="Email"
+        value={email}
+        onChangeText={setEmail}
+        autoCapitalize="none"
+        autoComplete="email"
+        keyboardType="email-address"
+        editable={!running}
+      />
+      {errors.email && <Text style={styles.fieldError}>{errors.email}</Text>}
+
+      <TextInput
+        style={[styles.input, errors.password && styles.inputInvalid]}
+        placeholder={`Password (at least ${MIN_PASSWORD_LENGTH} characters)`}
+        value={password}
+        onChangeText={setPassword}
+        secureTextEntry
+        autoComplete="new-password"
+        editable={!running}
+      />
+      {errors.password && <Text style={styles.fieldError}>{errors.password}</Text>}
+
+      <TextInput
+        style={[styles.input, errors.confirmation && styles.inputInvalid]}
+        placeholder="Confirm password"
+        value={confirmation}
+        onChangeText={setConfirmation}
+        secureTextEntry
+        autoComplete="new-password"
+        editable={!running}
+        onSubmitEditing={handleSubmit}
+      />
+      {errors.confirmation && <Text style={styles.fieldError}>{errors.confirmation}</Text>}
+
+      {error && Object.keys(serverErrors).length === 0 && (
+        <Text style={styles.formError}>{describeError(error)}</Text>
+      )}
+
+      <TouchableOpacity
+        style={[styles.button, running && styles.buttonDisabled]}
+        onPress={handleSubmit}
+        disabled={running}
+      >
+        {running ? (
+          <ActivityIndicator size="small" color="#fff" />
+        ) : (
+          <Text style={styles.buttonText}>Sign up</Text>
+        )}
+      </TouchableOpacity>
+
+      <TouchableOpacity onPress={onSwitchToLogin} disabled={running}>
+        <Text style={styles.switchText}>Already have an account? Log in</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+    padding: 24,
+    justifyContent: 'center',
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginBottom: 24,
+    color: '#333',
+  },
+  input: {
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 6,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 16,
+    marginTop: 12,
+  },
+  inputInvalid: {
+    borderColor: '#d32f2f',
+  },
+  fieldError: {
+    color: '#d32f2f',
+    fontSize: 12,
+    marginTop: 4,
+  },
+  formError: {
+    color: '#d32f2f',
+    fontSize: 14,
+    textAlign: 'center',
+    marginTop: 16,
+  },
+  button: {
+    backgroundColor: '#2196F3',
+    paddingVertical: 12,
+    borderRadius: 6,
+    alignItems: 'center',
+    marginTop: 24,
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+  },
+  buttonText: {
+    color: '#fff',
+    fontWeight: '600',
+    fontSize: 16,
+  },
+  switchText: {
+    color: '#2196F3',
+    fontSize: 14,
+    textAlign: 'center',
+    marginTop: 16,
+  },
+});
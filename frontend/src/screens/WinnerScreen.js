@@ -1,20 +1,36 @@
 import React from 'react';
-import { View, Image, Text, StyleSheet, TouchableOpacity, ActivityIndicator } from 'react-native';
+import { View, Image, Text, StyleSheet, ScrollView, ActivityIndicator } from 'react-native';
 import { useCats } from '../context/CatsContext';
 
-export default function WinnerScreen() {
-  const { cats, loading } = useCats();
+// Scores are integers for the net/upvotes policies but fractions for Wilson.
+// Winners crowned before scores were stored have none.
+function formatScore(score) {
+  if (score === null || score === undefined) return '-';
+  return Number.isInteger(score) ? String(score) : score.toFixed(3);
+}
 
-  // Find highest voted cat
-  const winner = cats.reduce((max, cat) => {
-    const catScore = (cat.upvotes || 0) - (cat.downvotes || 0);
-    const maxScore = (max?.upvotes || 0) - (max?.downvotes || 0);
-    return catScore > maxScore ? cat : max;
-  }, null);
+// A winner or leader exactly as ranked by the server's scoring policy
+function WinnerCard({ cat }) {
+  return (
+    <View style={styles.winnerCard}>
+      <Image
+        source={{ uri: cat.image_url }}
+        style={styles.winnerImage}
+        resizeMode="cover"
+      />
+      <View style={styles.info}>
+        <Text style={styles.scoreText}>Score: {formatScore(cat.score)}</Text>
+        <Text style={styles.upvotes}>👍 {cat.upvote_count || 0}</Text>
+        <Text style={styles.downvotes}>👎 {cat.downvote_count || 0}</Text>
+      </View>
+    </View>
+  );
+}
 
-  const winnerScore = winner ? (winner.upvotes || 0) - (winner.downvotes || 0) : 0;
+export default function WinnerScreen() {
+  const { winner, leader, winnerLoading } = useCats();
 
-  if (loading) {
+  if (winnerLoading && !winner && !leader) {
     return (
       <View style={styles.container}>
         <ActivityIndicator size="large" color="#0000ff" />
@@ -23,35 +39,40 @@ export default function WinnerScreen() {
   }
 
   return (
-    <View style={styles.container}>
-      <Text style={styles.title}>🏆 This Month's Winner!</Text>
+    <ScrollView style={styles.scroll} contentContainerStyle={styles.container}>
+      <Text style={styles.title}>🏆 This Month's Leader</Text>
 
-      {winner ? (
-        <View style={styles.winnerCard}>
-          <Image
-            source={{ uri: winner.image_url }}
-            style={styles.winnerImage}
-            resizeMode="cover"
-          />
-          <View style={styles.info}>
-            <Text style={styles.scoreText}>Score: {winnerScore}</Text>
-            <Text style={styles.upvotes}>👍 {winner.upvotes || 0}</Text>
-            <Text style={styles.downvotes}>👎 {winner.downvotes || 0}</Text>
-          </View>
+      {leader ? (
+        <WinnerCard cat={leader} />
+      ) : (
+        <View style={styles.noWinner}>
+          <Text style={styles.noWinnerText}>No votes yet this month!</Text>
         </View>
+      )}
+
+      <Text style={styles.subtitle}>
+        {winner ? `👑 Crowned Winner (${winner.month_year})` : '👑 Crowned Winner'}
+      </Text>
+
+      {winner ? (
+        <WinnerCard cat={winner} />
       ) : (
         <View style={styles.noWinner}>
-          <Text style={styles.noWinnerText}>No votes yet!</Text>
+          <Text style={styles.noWinnerText}>No winner crowned yet!</Text>
         </View>
       )}
-    </View>
+    </ScrollView>
   );
 }
 
 const styles = StyleSheet.create({
-  container: {
+  scroll: {
     flex: 1,
     backgroundColor: '#fff9c4',
+  },
+  container: {
+    flexGrow: 1,
+    backgroundColor: '#fff9c4',
     padding: 16,
     justifyContent: 'center',
     alignItems: 'center',
@@ -63,6 +84,14 @@ const styles = StyleSheet.create({
     marginBottom: 32,
     color: '#f57f17',
   },
+  subtitle: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginTop: 32,
+    marginBottom: 16,
+    color: '#f57f17',
+  },
   winnerCard: {
     backgroundColor: '#fff',
     borderRadius: 12,
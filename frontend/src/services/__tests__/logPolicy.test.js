@@ -0,0 +1,148 @@
+import { createLogPolicy, resolveLogPolicy } from '../logPolicy';
+import shippedConfig from '../../config/logPolicy.json';
+
+const log = (level, attributes = {}, message = 'Something happened') => ({ level, message, attributes });
+
+describe('resolveLogPolicy', () => {
+  const config = {
+    minLevel: 'trace',
+    reportIntervalMs: 60000,
+    rules: [
+      { name: 'a', match: { operation: 'a' }, sampleRate: 0.1 },
+      { name: 'b', match: { operation: 'b' }, minLevel: 'info' },
+    ],
+    environments: {
+      production: {
+        minLevel: 'info',
+        rules: [
+          { name: 'a', match: { operation: 'a' }, sampleRate: 1 },
+          { name: 'c', match: { operation: 'c' }, minLevel: 'warn' },
+        ],
+      },
+    },
+  };
+
+  it('uses the defaults for an environment without overrides', () => {
+    expect(resolveLogPolicy(config, 'development')).toEqual({
+      minLevel: 'trace',
+      reportIntervalMs: 60000,
+      rules: config.rules,
+    });
+  });
+
+  it('replaces settings and same-named rules, and appends new rules', () => {
+    const { production } = config.environments;
+
+    expect(resolveLogPolicy(config, 'production')).toEqual({
+      minLevel: 'info',
+      reportIntervalMs: 60000,
+      rules: [production.rules[0], config.rules[1], production.rules[1]],
+    });
+  });
+});
+
+describe('createLogPolicy', () => {
+  it('rejects an unknown level', () => {
+    expect(() => createLogPolicy({ minLevel: 'loud', rules: [] })).toThrow('Unknown log level "loud"');
+  });
+
+  it('drops logs below the minimum level and keeps unknown levels', () => {
+    const policy = createLogPolicy({ minLevel: 'info', rules: [] });
+
+    expect(policy.apply(log('debug'))).toBeNull();
+    expect(policy.apply(log('info'))).toEqual(log('info'));
+    expect(policy.apply(log('verbose'))).toEqual(log('verbose'));
+  });
+
+  it('matches on level, message and attributes, with arrays matching any value', () => {
+    const policy = createLogPolicy({
+      rules: [{ name: 'quiet', match: { level: 'debug', operation: ['a', 'b'] }, sampleRate: 0 }],
+    });
+
+    expect(policy.apply(log('debug', { operation: 'b' }))).toBeNull();
+    expect(policy.apply(log('debug', { operation: 'c' }))).not.toBeNull();
+    expect(policy.apply(log('info', { operation: 'a' }))).not.toBeNull();
+  });
+
+  it('drops matching logs below the rule level', () => {
+    const policy = createLogPolicy({ rules: [{ name: 'api', match: { operation: 'api' }, minLevel: 'warn' }] });
+
+    expect(policy.apply(log('info', { operation: 'api' }))).toBeNull();
+    expect(policy.apply(log('warn', { operation: 'api' }))).not.toBeNull();
+    expect(policy.apply(log('info', { operation: 'other' }))).not.toBeNull();
+  });
+
+  it('drops fast logs and adds the rule attributes to slow ones', () => {
+    const policy = createLogPolicy({
+      rules: [{ name: 'slow', match: {}, minDurationMs: 2000, attributes: { slow: true } }],
+    });
+
+    expect(policy.apply(log('info', { duration_ms: 1999 }))).toBeNull();
+    expect(policy.apply(log('info', { duration_ms: 2000 })).attributes).toEqual({ duration_ms: 2000, slow: true });
+    // Logs without a duration can't be judged, so they pass
+    expect(policy.apply(log('info')).attributes).toEqual({ slow: true });
+  });
+
+  it('samples with the injected random', () => {
+    const values = [0.05, 0.5];
+    const policy = createLogPolicy(
+      { rules: [{ name: 'sampled', match: {}, sampleRate: 0.1 }] },
+      { random: () => values.shift() },
+    );
+
+    expect(policy.apply(log('info'))).not.toBeNull();
+    expect(policy.apply(log('info'))).toBeNull();
+  });
+
+  it('rate limits per window of the injected clock', () => {
+    let time = 0;
+    const policy = createLogPolicy(
+      { rules: [{ name: 'limited', match: {}, rateLimit: { count: 2, intervalMs: 1000 } }] },
+      { now: () => time },
+    );
+    const sent = () => policy.apply(log('warn')) !== null;
+
+    expect([sent(), sent(), sent()]).toEqual([true, true, false]);
+    time = 999;
+    expect(sent()).toBe(false);
+    time = 1000;
+    expect([sent(), sent(), sent()]).toEqual([true, true, false]);
+  });
+
+  it('counts drops per rule and resets the counts once taken', () => {
+    const policy = createLogPolicy({
+      minLevel: 'info',
+      rules: [{ name: 'never', match: { operation: 'noisy' }, sampleRate: 0 }],
+    });
+
+    policy.apply(log('debug'));
+    policy.apply(log('info', { operation: 'noisy' }));
+    policy.apply(log('info', { operation: 'noisy' }));
+
+    expect(policy.takeDroppedCounts()).toEqual({ minLevel: 1, never: 2 });
+    expect(policy.takeDroppedCounts()).toEqual({});
+  });
+
+  it('defaults the report interval', () => {
+    expect(createLogPolicy({ rules: [] }).reportIntervalMs).toBe(60000);
+    expect(createLogPolicy({ rules: [], reportIntervalMs: 5000 }).reportIntervalMs).toBe(5000);
+  });
+
+  describe('the shipped policy', () => {
+    const policy = createLogPolicy(shippedConfig, { environment: 'development', random: () => 0.99 });
+
+    it('keeps fetchCats failures and start logs whatever their duration', () => {
+      const failure = log('error', { operation: 'fetchCats', phase: 'failure', duration_ms: 180 });
+      const start = log('debug', { operation: 'fetchCats', phase: 'start' });
+
+      expect(policy.apply(failure)).toEqual(failure);
+      expect(policy.apply(start)).toEqual(start);
+    });
+
+    it('only keeps slow fetchCats successes, flagged', () => {
+      expect(policy.apply(log('info', { operation: 'fetchCats', phase: 'success', duration_ms: 180 }))).toBeNull();
+      expect(policy.apply(log('info', { operation: 'fetchCats', phase: 'success', duration_ms: 2500 })).attributes)
+        .toMatchObject({ performance_warning: true });
+    });
+  });
+});
@@ -0,0 +1,229 @@
+import React from 'react';
+import { act, create } from 'react-test-renderer';
+import { createInstrumentation } from '../observability';
+
+// The real SDK isn't needed: every test passes its own client
+jest.mock('@sentry/react-native', () => ({}));
+
+// A stand-in for the Sentry client that records what it is given
+function createFakeClient() {
+  const logs = [];
+  const client = {
+    logs,
+    breadcrumbs: [],
+    captured: [],
+    spans: [],
+    logger: {},
+    addBreadcrumb: (breadcrumb) => client.breadcrumbs.push(breadcrumb),
+    captureException: (error, context) => client.captured.push({ error, context }),
+    startSpan: (options, callback) => {
+      const span = { options };
+      client.spans.push(span);
+      return callback(span);
+    },
+  };
+  ['trace', 'debug', 'info', 'warn', 'error', 'fatal'].forEach((level) => {
+    client.logger[level] = (message, attributes) => logs.push({ level, message, attributes });
+  });
+  return client;
+}
+
+function abortError() {
+  const error = new Error('Request aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+describe('withOperation', () => {
+  let client;
+  let withOperation;
+
+  beforeEach(() => {
+    client = createFakeClient();
+    ({ withOperation } = createInstrumentation(client));
+  });
+
+  it('logs the start and success with a span around the work', async () => {
+    const result = await withOperation('fetchCats', async ({ setAttributes }) => {
+      setAttributes({ count: 3 });
+      return 'cats';
+    }, { sort: 'top' }, { description: 'Fetch cats', op: 'http', category: 'cats' });
+
+    expect(result).toBe('cats');
+    expect(client.spans.map((span) => span.options)).toEqual([
+      { name: 'Fetch cats', op: 'http', attributes: { sort: 'top', operation: 'fetchCats' } },
+    ]);
+    expect(client.logs.map(({ level, message }) => [level, message])).toEqual([
+      ['debug', 'Fetch cats started'],
+      ['info', 'Fetch cats succeeded'],
+    ]);
+    expect(client.logs[1].attributes).toMatchObject({
+      sort: 'top',
+      operation: 'fetchCats',
+      count: 3,
+      phase: 'success',
+      duration_ms: expect.any(Number),
+    });
+    expect(client.breadcrumbs.map(({ category, level }) => [category, level])).toEqual([
+      ['cats', 'debug'],
+      ['cats', 'info'],
+    ]);
+    expect(client.captured).toEqual([]);
+  });
+
+  it('logs successes at successLevel', async () => {
+    await withOperation('fetchWinner', async () => null, {}, { successLevel: 'debug' });
+    expect(client.logs.map(({ level }) => level)).toEqual(['debug', 'debug']);
+  });
+
+  it('logs, captures and rethrows a failure', async () => {
+    const error = new Error('Server exploded');
+
+    await expect(withOperation('submitVote', async ({ setAttributes }) => {
+      setAttributes({ attempts: 2 });
+      throw error;
+    }, { catId: 7 }, {
+      tags: { feature: 'voting' },
+      errorAttributes: () => ({ statusCode: 500 }),
+    })).rejects.toBe(error);
+
+    const failure = client.logs[1];
+    const { phase, ...context } = failure.attributes;
+    expect(phase).toBe('failure');
+    expect(failure.level).toBe('error');
+    expect(failure.message).toBe('submitVote failed');
+    expect(failure.attributes).toMatchObject({
+      catId: 7,
+      attempts: 2,
+      statusCode: 500,
+      errorMessage: 'Server exploded',
+      errorType: 'Error',
+    });
+    expect(client.breadcrumbs[1]).toMatchObject({ level: 'error', message: 'submitVote failed: Server exploded' });
+    expect(client.captured).toEqual([{
+      error,
+      context: {
+        level: 'error',
+        tags: { operation: 'submitVote', feature: 'voting' },
+        contexts: { operation: context },
+      },
+    }]);
+  });
+
+  it('treats an AbortError as cancelled, not failed', async () => {
+    await expect(withOperation('fetchCats', async () => {
+      throw abortError();
+    })).rejects.toThrow('Request aborted');
+
+    expect(client.logs.map(({ level, message }) => [level, message])).toEqual([
+      ['debug', 'fetchCats started'],
+      ['debug', 'fetchCats cancelled'],
+    ]);
+    expect(client.logs[1].attributes.phase).toBe('cancelled');
+    expect(client.breadcrumbs).toHaveLength(1);
+    expect(client.captured).toEqual([]);
+  });
+
+  it('logs expected errors as warnings without capturing them', async () => {
+    const error = Object.assign(new Error('API Error: 401'), { expected: true });
+
+    await expect(withOperation('submitLogin', async () => {
+      throw error;
+    })).rejects.toBe(error);
+
+    expect(client.logs[1]).toMatchObject({ level: 'warn', message: 'submitLogin failed' });
+    expect(client.breadcrumbs[1].level).toBe('warning');
+    expect(client.captured).toEqual([]);
+  });
+
+  it('captures an error once when nested operations fail with it', async () => {
+    const error = new Error('Network request failed');
+
+    await expect(withOperation('fetchWinner', () => (
+      withOperation('apiRequest', async () => {
+        throw error;
+      })
+    ))).rejects.toBe(error);
+
+    expect(client.logs.filter(({ level }) => level === 'error').map(({ message }) => message)).toEqual([
+      'apiRequest failed',
+      'fetchWinner failed',
+    ]);
+    expect(client.captured).toHaveLength(1);
+    expect(client.captured[0].context.tags.operation).toBe('apiRequest');
+  });
+
+  it('keeps captured errors per instrumentation', async () => {
+    const error = new Error('Boom');
+    const other = createFakeClient();
+
+    await expect(withOperation('a', async () => { throw error; })).rejects.toBe(error);
+    await expect(createInstrumentation(other).withOperation('b', async () => { throw error; })).rejects.toBe(error);
+
+    expect(client.captured).toHaveLength(1);
+    expect(other.captured).toHaveLength(1);
+  });
+});
+
+describe('useOperation', () => {
+  // Render a component using the hook and return a getter for its latest value
+  function renderHook(useHook) {
+    const latest = {};
+    function Probe() {
+      latest.current = useHook();
+      return null;
+    }
+    act(() => {
+      create(<Probe />);
+    });
+    return () => latest.current;
+  }
+
+  it('reports through the instrumentation it was created with', async () => {
+    const client = createFakeClient();
+    const { useOperation } = createInstrumentation(client);
+    const hook = renderHook(() => useOperation('submitVote', async (catId) => `voted ${catId}`, {
+      attributes: (catId) => ({ catId }),
+    }));
+
+    let result;
+    await act(async () => {
+      result = await hook().run(4);
+    });
+
+    expect(result).toBe('voted 4');
+    expect(hook()).toMatchObject({ running: false, error: null });
+    expect(client.logs[1]).toMatchObject({ message: 'submitVote succeeded', attributes: { catId: 4 } });
+  });
+
+  it('keeps a failure in `error` instead of rejecting', async () => {
+    const client = createFakeClient();
+    const { useOperation } = createInstrumentation(client);
+    const error = new Error('Server exploded');
+    const hook = renderHook(() => useOperation('submitVote', async () => {
+      throw error;
+    }));
+
+    let result = 'unset';
+    await act(async () => {
+      result = await hook().run();
+    });
+
+    expect(result).toBeUndefined();
+    expect(hook()).toMatchObject({ running: false, error });
+    expect(client.captured).toHaveLength(1);
+  });
+
+  it('leaves `error` empty when the operation is cancelled', async () => {
+    const { useOperation } = createInstrumentation(createFakeClient());
+    const hook = renderHook(() => useOperation('fetchCats', async () => {
+      throw abortError();
+    }));
+
+    await act(async () => {
+      await hook().run();
+    });
+
+    expect(hook().error).toBeNull();
+  });
+});
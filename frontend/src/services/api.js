@@ -1,146 +1,348 @@
 import * as Sentry from '@sentry/react-native';
+import { HttpError, NetworkError, TimeoutError, httpErrorFor } from './errors';
+import { withOperation } from './observability';
 
-const API_URL = process.env.EXPO_PUBLIC_API_URL || 'http://localhost:3000';
+// Exported so Sentry can attach trace headers to requests for this origin
+export const API_URL = process.env.EXPO_PUBLIC_API_URL || 'http://localhost:3000';
 
-// Helper function to make API requests with Sentry error tracking
-async function makeRequest(endpoint, options = {}) {
-  const method = options.method || 'GET';
-  const isPost = method === 'POST';
+// Bearer token for the signed-in user, attached to every request
+let authToken = null;
 
-  try {
-    // Log API request start using Sentry.logger
-    Sentry.logger.debug("API request initiated", {
-      method,
-      endpoint,
-      url: `${API_URL}${endpoint}`,
-    });
-    
-    // Add breadcrumb BEFORE the request
-    Sentry.addBreadcrumb({
-      category: 'api-request',
-      message: `${method} ${endpoint}`,
-      level: 'debug',
-      data: {
-        endpoint,
-        method,
-      },
-    });
+export function setAuthToken(token) {
+  authToken = token;
+}
 
-    const startTime = Date.now();
-    
-    const response = await fetch(`${API_URL}${endpoint}`, {
-      method,
-      headers: { 'Content-Type': 'application/json' },
-      ...options,
+// Called when the session is over: an authenticated request was rejected with
+// 401 and the token could not be refreshed
+let unauthorizedHandler = null;
+
+export function setUnauthorizedHandler(handler) {
+  unauthorizedHandler = handler;
+}
+
+// Renews the access token, resolving with the new one; set by the auth layer
+let tokenRefresher = null;
+
+export function setTokenRefresher(refresher) {
+  tokenRefresher = refresher;
+}
+
+// One refresh at a time: requests that get a 401 together share it
+let refreshing = null;
+
+function refreshAccessToken(staleToken) {
+  // Another request already refreshed while this one was in flight
+  if (authToken && authToken !== staleToken) {
+    return Promise.resolve(authToken);
+  }
+  if (!tokenRefresher) {
+    return Promise.reject(new Error('No way to refresh the session'));
+  }
+  if (!refreshing) {
+    refreshing = tokenRefresher().finally(() => {
+      refreshing = null;
     });
-    
-    const duration = Date.now() - startTime;
-
-    if (!response.ok) {
-      const errorData = await response.text();
-      const error = new Error(`API Error: ${response.status}`);
-      
-      // Log API error with full context
-      Sentry.logger.error("API request failed", {
-        method,
-        endpoint,
-        statusCode: response.status,
-        duration_ms: duration,
-        errorMessage: errorData,
-      });
-      
-      // Add breadcrumb on failure
-      Sentry.addBreadcrumb({
-        category: 'api-error',
-        message: `${method} ${endpoint} failed with status ${response.status}`,
-        level: 'error',
-        data: {
-          endpoint,
-          method,
-          statusCode: response.status,
-          response: errorData,
-        },
-      });
-
-      // Capture the API error with context
-      Sentry.captureException(error, {
-        level: 'error',
-        tags: {
-          errorSource: 'api_call',
-          endpoint,
-          method,
-        },
-        contexts: {
-          http: {
-            status_code: response.status,
-            method,
-            url: `${API_URL}${endpoint}`,
-          },
-        },
-      });
+  }
+  return refreshing;
+}
 
-      throw error;
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_RETRIES = 2;
+const BASE_RETRY_DELAY_MS = 300;
+const MAX_RETRY_DELAY_MS = 5000;
+
+// Methods that are safe to send again; POSTs are only retried when they carry
+// an Idempotency-Key or the caller opts in with `retries`
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS'];
+
+// Identifies one logical request across retries, sent as X-Request-Id
+function createRequestId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+// Exponential backoff with jitter: ~300ms, ~600ms, ~1.2s, ... capped at 5s
+function retryDelay(attempt) {
+  const delay = Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS);
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+}
+
+function abortError() {
+  const error = new Error('Request aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+// Sleep between retries, stopping early if the caller aborts
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortError());
+      return;
     }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
 
-    const data = await response.json();
+// fetch() with its own timeout that can also be cancelled through `signal`
+async function fetchWithTimeout(url, init, timeout, signal) {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout);
+  const onAbort = () => controller.abort();
 
-    // Log successful API response with performance metrics
-    Sentry.logger.trace("API request completed successfully", {
-      method,
+  if (signal?.aborted) {
+    controller.abort();
+  } else {
+    signal?.addEventListener('abort', onAbort, { once: true });
+  }
+
+  try {
+    return await fetch(url, { ...init, signal: controller.signal });
+  } catch (error) {
+    if (timedOut) {
+      throw new TimeoutError(timeout);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+// A single attempt at an API request, authenticated with `token` when given.
+// Throws an HttpError (or ValidationError) for error responses and a
+// NetworkError (or TimeoutError) when there was no response; their
+// `retryable` tells makeRequest whether to try again.
+async function attemptRequest(endpoint, options, { requestId, attempt, timeout, signal, token }) {
+  const method = options.method || 'GET';
+
+  // One breadcrumb per attempt so retries show up in the trail
+  Sentry.addBreadcrumb({
+    category: 'api-request',
+    message: `${method} ${endpoint} attempt ${attempt}`,
+    level: 'debug',
+    data: {
       endpoint,
-      statusCode: response.status,
-      duration_ms: duration,
-    });
+      method,
+      attempt,
+      requestId,
+    },
+  });
 
-    // Add breadcrumb on success
-    Sentry.addBreadcrumb({
-      category: 'api-request',
-      message: `${method} ${endpoint} succeeded`,
-      level: 'debug',
-      data: {
-        endpoint,
-        method,
-        status: response.status,
-      },
-    });
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Request-Id': requestId,
+    ...options.headers,
+  };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
 
-    return data;
+  let response;
+  try {
+    response = await fetchWithTimeout(`${API_URL}${endpoint}`, {
+      ...options,
+      method,
+      headers,
+    }, timeout, signal);
   } catch (error) {
-    // Capture any network errors that aren't already captured
-    if (!error.message.includes('API Error')) {
-      // Log network errors (like timeout, no connection)
-      Sentry.logger.error("Network error during API request", {
-        method,
-        endpoint,
-        errorMessage: error.message,
-        errorType: "network_error",
-      });
-      
-      Sentry.captureException(error, {
-        level: 'error',
-        tags: {
-          errorSource: 'api_call',
-          endpoint,
-          method,
-          errorType: 'network_error',
-        },
-      });
+    // Cancelled by the caller: never retried
+    if (error.name === 'AbortError') {
+      error.retryable = false;
+      throw error;
+    }
+    if (error instanceof TimeoutError) {
+      throw error;
+    }
+    throw new NetworkError(error.message, error);
+  }
+
+  if (!response.ok) {
+    throw httpErrorFor(response.status, await response.text());
+  }
+
+  return { data: await response.json(), status: response.status };
+}
+
+// Failure attributes for a request error, shared by its log and exception
+function requestErrorAttributes(error) {
+  if (error instanceof HttpError) {
+    return { statusCode: error.status, errorCode: error.code, errorBody: error.responseBody };
+  }
+  return { errorType: error instanceof TimeoutError ? 'timeout' : 'network_error' };
+}
+
+// Handle a 401 for a request sent with `staleToken`. Resolves with a fresh
+// token to replay the request with, or throws: the refresh's own error when
+// the refresh failed for a reason other than the session itself (offline, a
+// server error; the session may still be fine), otherwise the original 401
+// once the session has been ended.
+async function renewSession(staleToken, error, context) {
+  try {
+    const token = await refreshAccessToken(staleToken);
+
+    // Log the replay that follows
+    Sentry.logger.info("Replaying API request with refreshed token", context);
+    return token;
+  } catch (refreshError) {
+    // Only a rejected refresh token ends the session; after a network error
+    // or a 5xx the same token may work on the next try
+    const unreachable = refreshError instanceof NetworkError || refreshError.name === 'AbortError';
+    const serverFailed = refreshError instanceof HttpError && refreshError.status !== 401;
+    if (unreachable || serverFailed) {
+      throw refreshError;
     }
+
+    // Log the end of the session
+    Sentry.logger.warn("Session expired, refresh failed", {
+      ...context,
+      errorMessage: refreshError.message,
+    });
+    unauthorizedHandler?.();
     throw error;
   }
 }
 
+/**
+ * Make an API request with timeouts, retries and cancellation
+ *
+ * Network errors, timeouts and 5xx responses are retried with exponential
+ * backoff. By default only idempotent methods (and POSTs carrying an
+ * Idempotency-Key) are retried. Every attempt carries the same X-Request-Id
+ * header, which also appears in the call's logs and breadcrumbs.
+ *
+ * A 401 for an authenticated request refreshes the access token once and
+ * replays the request. If the refresh is rejected with a 401 the session ends
+ * and the original 401 is thrown; if it fails any other way (offline, a 5xx)
+ * the session is kept and the refresh's error is thrown.
+ *
+ * @param {string} endpoint - Path under the API URL
+ * @param {Object} options - fetch options plus:
+ * @param {number} options.timeout - Per-attempt timeout in ms (default 10s)
+ * @param {number} options.retries - Retries after the first attempt
+ * @param {AbortSignal} options.signal - Cancels the request and any pending retry
+ * @param {Object} options.tags - Extra tags for the request's captured errors,
+ *   e.g. the feature making the call (scope tags don't follow async work)
+ * @param {boolean} options.authenticate - Send the bearer token (default true)
+ * @returns {Promise<*>} Parsed JSON response
+ */
+async function makeRequest(endpoint, options = {}) {
+  const {
+    timeout = DEFAULT_TIMEOUT_MS,
+    retries,
+    signal,
+    tags = {},
+    authenticate = true,
+    ...requestOptions
+  } = options;
+  const method = requestOptions.method || 'GET';
+  const canRetry = IDEMPOTENT_METHODS.includes(method)
+    || Boolean(requestOptions.headers?.['Idempotency-Key']);
+  const maxAttempts = 1 + (retries ?? (canRetry ? DEFAULT_RETRIES : 0));
+  // Shared by every attempt and echoed by the backend in its logs and errors
+  const requestId = createRequestId();
+
+  // The operation's span parents each fetch, which carries the
+  // sentry-trace/baggage headers the backend continues from
+  return withOperation('apiRequest', async (operation) => {
+    let token = authenticate ? authToken : null;
+    let refreshed = false;
+
+    for (let attempt = 1; ; attempt += 1) {
+      operation.setAttributes({ attempts: attempt });
+      try {
+        const { data, status } = await attemptRequest(endpoint, requestOptions, {
+          requestId,
+          attempt,
+          timeout,
+          signal,
+          token,
+        });
+        operation.setAttributes({ statusCode: status });
+        return data;
+      } catch (error) {
+        if (error instanceof HttpError && error.status === 401 && token && !refreshed) {
+          error.requestId = requestId;
+          token = await renewSession(token, error, { method, endpoint, requestId, operation: 'apiRequest' });
+          refreshed = true;
+          operation.setAttributes({ refreshed: true });
+          continue;
+        }
+
+        // The replay after a refresh doesn't use up a retry
+        if (!error.retryable || attempt >= maxAttempts + (refreshed ? 1 : 0)) {
+          // Lets callers quote the ID when reporting the failure
+          error.requestId = requestId;
+          throw error;
+        }
+
+        const delay = retryDelay(attempt);
+
+        // Log each retry with the attempt that failed
+        Sentry.logger.warn("Retrying API request", {
+          method,
+          endpoint,
+          attempt,
+          requestId,
+          maxAttempts,
+          delay_ms: delay,
+          errorMessage: error.message,
+        });
+
+        Sentry.addBreadcrumb({
+          category: 'api-retry',
+          message: `${method} ${endpoint} attempt ${attempt} failed, retrying in ${delay}ms`,
+          level: 'warning',
+          data: {
+            endpoint,
+            method,
+            attempt,
+            requestId,
+            delay_ms: delay,
+            errorMessage: error.message,
+          },
+        });
+
+        await wait(delay, signal);
+      }
+    }
+  }, { method, endpoint, requestId, maxAttempts }, {
+    description: `${method} ${endpoint}`,
+    op: 'http.request',
+    category: 'api-request',
+    successLevel: 'debug',
+    tags: { ...tags, errorSource: 'api_call', endpoint, method, requestId },
+    errorAttributes: requestErrorAttributes,
+  });
+}
+
 export const api = {
-  async get(endpoint) {
-    return makeRequest(endpoint, { method: 'GET' });
+  async get(endpoint, options = {}) {
+    return makeRequest(endpoint, { ...options, method: 'GET' });
   },
 
-  async post(endpoint, data) {
+  async post(endpoint, data, options = {}) {
     return makeRequest(endpoint, {
+      ...options,
       method: 'POST',
       body: JSON.stringify(data),
     });
   },
+
+  async delete(endpoint, options = {}) {
+    return makeRequest(endpoint, { ...options, method: 'DELETE' });
+  },
 };
 
 // Export the user identification function for use in auth flows
@@ -1,202 +1,120 @@
-import * as Sentry from '@sentry/react-native';
-import { api, setCurrentUser } from './api';
+import { setAuthToken, setCurrentUser, clearCurrentUser } from './api';
+import * as client from './client';
+import { withOperation } from './observability';
+import schemas from '../../../shared/schemas.json';
+import { validate } from '../../../shared/validate';
+
+// The backend checks the same schemas
+const { registerUser: registerSchema, loginUser: loginSchema } = schemas;
+
+export const MIN_PASSWORD_LENGTH = registerSchema.body.properties.password.minLength;
+
+export const CREDENTIAL_LABELS = {
+  email: 'Email',
+  password: 'Password',
+};
+
+/**
+ * Check credentials before sending them
+ *
+ * @param {string} email - User email
+ * @param {string} password - User password
+ * @param {Object} options
+ * @param {boolean} options.isRegistration - Check against the registration rules
+ * @returns {Object} Error message per field; empty when valid
+ */
+export function validateCredentials(email, password, { isRegistration = false } = {}) {
+  const schema = isRegistration ? registerSchema : loginSchema;
+  const { errors } = validate(schema.body, { email: email.trim(), password });
+  return Object.fromEntries(errors.map(({ field, message }) => [field, `${CREDENTIAL_LABELS[field]} ${message}`]));
+}
 
 /**
  * Login user and set Sentry user context
  * 
  * This demonstrates how to identify users in Sentry errors
  * so you can see which users are affected by issues.
+ *
+ * Not an operation of its own: the login form's operation and the request's
+ * already report it.
  * 
  * @param {string} email - User email
  * @param {string} password - User password
  * @returns {Promise<Object>} User data with authentication token
  */
 export async function loginUser(email, password) {
-  // Log authentication attempt using Sentry.logger
-  Sentry.logger.info("User login attempt", {
-    email,
-    operation: "loginUser",
-    timestamp: Date.now(),
-  });
+  const response = await client.loginUser({ email, password });
+  
+  const { userId, token } = response;
   
-  try {
-    // Add breadcrumb for login attempt
-    Sentry.addBreadcrumb({
-      category: 'auth',
-      message: `Login attempt for user ${email}`,
-      level: 'info',
-      data: {
-        email,
-      },
-    });
+  // Authenticate subsequent API requests
+  setAuthToken(token);
+  
+  // Set user in Sentry so all future errors are associated with this user
+  setCurrentUser(userId, email);
+  
+  return response;
+}
 
-    const response = await api.post('/api/auth/login', { 
-      email, 
-      password 
-    });
-    
-    const { userId, token } = response;
-    
-    // Set user in Sentry so all future errors are associated with this user
-    setCurrentUser(userId, email);
-    
-    // Log successful authentication
-    Sentry.logger.info("User login successful", {
-      userId,
-      email,
-      authMethod: "password",
-    });
-    
-    // Add breadcrumb for successful login
-    Sentry.addBreadcrumb({
-      category: 'auth',
-      message: `Successfully logged in user ${email}`,
-      level: 'info',
-      data: {
-        email,
-        userId,
-      },
-    });
-    
-    return response;
-  } catch (error) {
-    // Log authentication failure
-    Sentry.logger.error("User login failed", {
-      email,
-      errorMessage: error.message,
-      errorCode: error.response?.status,
-    });
-    
-    // Add breadcrumb for failed login
-    Sentry.addBreadcrumb({
-      category: 'auth',
-      message: `Login failed for user ${email}`,
-      level: 'error',
-      data: {
-        email,
-        errorMessage: error.message,
-      },
-    });
+/**
+ * Exchange a refresh token for a new access token
+ *
+ * The backend rotates the refresh token, so the returned one replaces it.
+ *
+ * @param {string} refreshToken - Refresh token from login, registration or the last refresh
+ * @returns {Promise<Object>} userId, token and the new refreshToken
+ */
+export function refreshSession(refreshToken) {
+  return withOperation('refreshSession', async (operation) => {
+    const response = await client.refreshSession({ refreshToken });
+
+    // Authenticate subsequent API requests with the new token
+    setAuthToken(response.token);
+    operation.setAttributes({ userId: response.userId });
 
-    Sentry.captureException(error, {
-      level: 'error',
-      tags: {
-        operation: 'loginUser',
-        userEmail: email,
-      },
-      contexts: {
-        auth: {
-          email,
-          operation: 'login',
-        },
-      },
-    });
-    
-    throw error;
-  }
+    return response;
+  }, {}, { description: 'Session refresh', category: 'auth' });
 }
 
 /**
  * Logout user and clear Sentry user context
+ *
+ * @param {string} refreshToken - Revoked on the backend when given; a failure
+ *   to reach it doesn't stop the local logout
  */
-export function logoutUser() {
-  // Log logout event
-  Sentry.logger.info("User logged out", {
-    operation: "logoutUser",
-  });
-  
-  Sentry.addBreadcrumb({
-    category: 'auth',
-    message: 'User logged out',
-    level: 'info',
-  });
-  
-  // Clear user context in Sentry
-  Sentry.setUser(null);
+export function logoutUser(refreshToken) {
+  return withOperation('logoutUser', async () => {
+    // Stop authenticating API requests and clear user context in Sentry
+    setAuthToken(null);
+    clearCurrentUser();
+
+    if (refreshToken) {
+      try {
+        await client.logoutUser({ refreshToken });
+      } catch {
+        // Already reported; the token expires on its own
+      }
+    }
+  }, {}, { description: 'User logout', category: 'auth' });
 }
 
 /**
  * Register new user
+ *
+ * Like loginUser, reported by the registration form's operation and the request's.
  * 
  * @param {string} email - User email
  * @param {string} password - User password
  * @returns {Promise<Object>} Newly created user data
  */
 export async function registerUser(email, password) {
-  // Log registration attempt
-  Sentry.logger.info("User registration attempt", {
-    email,
-    operation: "registerUser",
-  });
+  const response = await client.registerUser({ email, password });
   
-  try {
-    Sentry.addBreadcrumb({
-      category: 'auth',
-      message: `Registration attempt for user ${email}`,
-      level: 'info',
-      data: {
-        email,
-      },
-    });
-
-    const response = await api.post('/api/auth/register', { 
-      email, 
-      password 
-    });
-    
-    const { userId } = response;
-    
-    // Automatically log in after registration
-    setCurrentUser(userId, email);
-    
-    // Log successful registration
-    Sentry.logger.info("User registration successful", {
-      userId,
-      email,
-    });
-    
-    Sentry.addBreadcrumb({
-      category: 'auth',
-      message: `Successfully registered user ${email}`,
-      level: 'info',
-      data: {
-        email,
-        userId,
-      },
-    });
-    
-    return response;
-  } catch (error) {
-    // Log registration failure
-    Sentry.logger.error("User registration failed", {
-      email,
-      errorMessage: error.message,
-    });
-    
-    Sentry.addBreadcrumb({
-      category: 'auth',
-      message: `Registration failed for user ${email}`,
-      level: 'error',
-      data: {
-        email,
-        errorMessage: error.message,
-      },
-    });
-
-    Sentry.captureException(error, {
-      level: 'error',
-      tags: {
-        operation: 'registerUser',
-        userEmail: email,
-      },
-      contexts: {
-        auth: {
-          email,
-          operation: 'register',
-        },
-      },
-    });
-    
-    throw error;
-  }
+  const { userId, token } = response;
+  
+  // Automatically log in after registration
+  setAuthToken(token);
+  setCurrentUser(userId, email);
+  
+  return response;
 }
@@ -0,0 +1,181 @@
+import { api } from './api';
+
+// One function per backend route the app calls, named after the route's
+// operationId in the OpenAPI document (GET /api/openapi.json, built by
+// backend/lib/openapi.js). Screens and contexts call these instead of building
+// URLs. The types below are written by hand; the backend's contract test
+// (backend/test/contract.test.js) checks that each has the same properties,
+// optional and nullable markers as the component schema of the same name.
+//
+// Every function takes the api.js request options last (signal, headers,
+// tags, ...) and rejects with the errors from errors.js.
+
+/**
+ * @typedef {Object} Session
+ * @property {number} userId
+ * @property {string} token - Short-lived access token
+ * @property {string} refreshToken - Exchanged for a new session by refreshSession
+ */
+
+/**
+ * @typedef {Object} Cat
+ * @property {number} id
+ * @property {string} image_url
+ * @property {string} created_at
+ * @property {number} upvotes
+ * @property {number} downvotes
+ * @property {number} recent_upvotes
+ * @property {number} recent_downvotes
+ * @property {?('upvote'|'downvote')} my_vote - The signed-in user's vote
+ * @property {number} score
+ */
+
+/**
+ * @typedef {Object} CatPage
+ * @property {Cat[]} cats
+ * @property {?string} nextCursor - Pass as `cursor` for the next page; null on the last one
+ */
+
+/**
+ * @typedef {Object} CatTally
+ * @property {number} id
+ * @property {number} upvotes
+ * @property {number} downvotes
+ * @property {?('upvote'|'downvote')} my_vote
+ * @property {number} score
+ */
+
+/**
+ * @typedef {Object} VoteResult
+ * @property {boolean} success
+ * @property {string} message
+ * @property {{cat_id: number, vote_type: string}} [vote]
+ * @property {CatTally} cat - The cat's tallies after the change
+ */
+
+/**
+ * @typedef {Object} MonthlyCat
+ * @property {number} id
+ * @property {?string} image_url
+ * @property {string} month_year - YYYY-MM
+ * @property {number} upvote_count
+ * @property {number} downvote_count
+ * @property {?number} score
+ */
+
+// Query string for the parameters that are set, e.g. "?sort=top&limit=20"
+function withQuery(path, params) {
+  const pairs = Object.entries(params)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => `${encodeURIComponent(name)}=${encodeURIComponent(value)}`);
+  return pairs.length > 0 ? `${path}?${pairs.join('&')}` : path;
+}
+
+/**
+ * Create an account (POST /api/auth/register)
+ *
+ * @param {{email: string, password: string}} body
+ * @param {Object} options - api.js request options
+ * @returns {Promise<Session>}
+ */
+export function registerUser(body, options = {}) {
+  return api.post('/api/auth/register', body, { ...options, authenticate: false });
+}
+
+/**
+ * Start a session (POST /api/auth/login)
+ *
+ * @param {{email: string, password: string}} body
+ * @param {Object} options - api.js request options
+ * @returns {Promise<Session>}
+ */
+export function loginUser(body, options = {}) {
+  return api.post('/api/auth/login', body, { ...options, authenticate: false });
+}
+
+/**
+ * Rotate a refresh token into a new session (POST /api/auth/refresh)
+ *
+ * @param {{refreshToken: string}} body
+ * @param {Object} options - api.js request options
+ * @returns {Promise<Session>}
+ */
+export function refreshSession(body, options = {}) {
+  return api.post('/api/auth/refresh', body, { ...options, authenticate: false });
+}
+
+/**
+ * Revoke a refresh token (POST /api/auth/logout)
+ *
+ * @param {{refreshToken: string}} body
+ * @param {Object} options - api.js request options
+ * @returns {Promise<{success: boolean}>}
+ */
+export function logoutUser(body, options = {}) {
+  return api.post('/api/auth/logout', body, { ...options, authenticate: false });
+}
+
+/**
+ * A page of cats (GET /api/cats)
+ *
+ * @param {Object} query - Unset parameters get the backend's defaults
+ * @param {('top'|'controversial'|'newest'|'net'|'trending')} [query.sort]
+ * @param {number} [query.limit] - Page size, 1-100
+ * @param {string} [query.cursor] - nextCursor of the previous page
+ * @param {number} [query.days] - Window for the trending sort, 1-90
+ * @param {boolean} [query.unvoted] - Only cats the signed-in user hasn't voted on
+ * @param {number} [query.min_votes] - Only cats with at least this many votes
+ * @param {string} [query.since] - Only cats added after this ISO 8601 date
+ * @param {Object} options - api.js request options
+ * @returns {Promise<CatPage>}
+ */
+export function fetchCats(query = {}, options = {}) {
+  return api.get(withQuery('/api/cats', query), options);
+}
+
+/**
+ * The crowned winner of a month (GET /api/winner)
+ *
+ * @param {Object} query
+ * @param {string} [query.month] - YYYY-MM; the latest winner when unset
+ * @param {Object} options - api.js request options
+ * @returns {Promise<?MonthlyCat>} null when there is no winner yet
+ */
+export function fetchWinner(query = {}, options = {}) {
+  return api.get(withQuery('/api/winner', query), options);
+}
+
+/**
+ * The current month's leader so far (GET /api/leader)
+ *
+ * @param {Object} options - api.js request options
+ * @returns {Promise<?MonthlyCat>} null before the month's first vote
+ */
+export function fetchLeader(options = {}) {
+  return api.get('/api/leader', options);
+}
+
+/**
+ * Past winners, newest first (GET /api/winners)
+ *
+ * @param {Object} query
+ * @param {string} [query.from] - First month, YYYY-MM
+ * @param {string} [query.to] - Last month, YYYY-MM
+ * @param {Object} options - api.js request options
+ * @returns {Promise<MonthlyCat[]>}
+ */
+export function fetchWinners(query = {}, options = {}) {
+  return api.get(withQuery('/api/winners', query), options);
+}
+
+/**
+ * Cast or change a vote (POST /api/votes)
+ *
+ * @param {{cat_id: number, vote_type: ('upvote'|'downvote')}} body
+ * @param {Object} options - api.js request options; send an Idempotency-Key
+ *   header so the vote can be retried safely
+ * @returns {Promise<VoteResult>}
+ */
+export function submitVote(body, options = {}) {
+  return api.post('/api/votes', body, options);
+}
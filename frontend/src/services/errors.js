@@ -0,0 +1,146 @@
+// Errors thrown by the API client. Every failed request rejects with one of
+// these, so callers can branch with instanceof and on `code` instead of
+// parsing messages.
+
+/**
+ * The server answered with an error status
+ *
+ * The backend's error envelope (`{ error: { code, message, details } }`) is
+ * parsed into `code`, `details` and `serverMessage`; responses without one
+ * get the code `http_<status>`.
+ */
+export class HttpError extends Error {
+  constructor(status, body, responseBody) {
+    const envelope = body && typeof body.error === 'object' ? body.error : null;
+    super(`API Error: ${status}${envelope?.code ? ` ${envelope.code}` : ''}`);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = envelope?.code || `http_${status}`;
+    this.serverMessage = envelope?.message || null;
+    this.details = envelope?.details || null;
+    this.body = body;
+    // Raw response text, for logs and exceptions
+    this.responseBody = responseBody;
+    // A request with the same Idempotency-Key was still running; asking again
+    // gets its stored response
+    this.retryable = status >= 500 || this.code === 'request_in_progress';
+    // Wrong credentials and expired sessions are part of normal use, so they
+    // are logged as warnings instead of captured
+    this.expected = status === 401;
+  }
+}
+
+/**
+ * The server rejected the request's input (400 `validation_failed`)
+ */
+export class ValidationError extends HttpError {
+  constructor(status, body, responseBody) {
+    super(status, body, responseBody);
+    this.name = 'ValidationError';
+  }
+}
+
+/**
+ * The request never got a response: offline, DNS, refused connection
+ */
+export class NetworkError extends Error {
+  constructor(message, cause) {
+    super(message);
+    this.name = 'NetworkError';
+    this.code = 'network_error';
+    this.cause = cause;
+    this.retryable = true;
+  }
+}
+
+/**
+ * The request got no response within its timeout. Treated like any other
+ * network failure, e.g. votes are queued for later.
+ */
+export class TimeoutError extends NetworkError {
+  constructor(timeout) {
+    super(`Request timed out after ${timeout}ms`);
+    this.name = 'TimeoutError';
+    this.code = 'timeout';
+  }
+}
+
+/**
+ * Build the error for a failed response
+ *
+ * @param {number} status - HTTP status
+ * @param {string} responseBody - Raw response text
+ * @returns {HttpError} A ValidationError for rejected input, an HttpError otherwise
+ */
+export function httpErrorFor(status, responseBody) {
+  let body = null;
+  try {
+    body = JSON.parse(responseBody);
+  } catch {
+    // Not JSON, e.g. a proxy's HTML error page
+  }
+
+  const ErrorClass = body?.error?.code === 'validation_failed' ? ValidationError : HttpError;
+  return new ErrorClass(status, body, responseBody);
+}
+
+/**
+ * Field-level problems reported with a validation error
+ *
+ * @param {Error} error - Error thrown by an API call
+ * @param {Object} labels - Display name per field, e.g. `{ email: 'Email' }`
+ * @returns {Object} Message per field; empty for other errors
+ */
+export function fieldErrorsFrom(error, labels = {}) {
+  if (!(error instanceof ValidationError) || !Array.isArray(error.details?.fields)) {
+    return {};
+  }
+  return Object.fromEntries(error.details.fields.map(({ field, message }) => (
+    [field, `${labels[field] || field} ${message}`]
+  )));
+}
+
+// What to tell the user for each error code
+const MESSAGES = {
+  network_error: "Can't reach the server. Check your connection and try again.",
+  timeout: 'The server is taking too long to respond. Please try again.',
+  invalid_credentials: 'Invalid email or password',
+  email_taken: 'That email is already registered',
+  request_in_progress: 'Still working on that. Please try again in a moment.',
+  authentication_required: 'Please log in to do that',
+  session_expired: 'Your session has expired. Please log in again.',
+  forbidden: "You don't have permission to do that",
+  not_found: "That couldn't be found. It may have been removed.",
+  upstream_failed: 'A service we depend on is having trouble. Please try again later.',
+  internal_error: 'Something went wrong on our side. Please try again.',
+};
+
+const FALLBACK_MESSAGE = 'Something went wrong. Please try again.';
+
+/**
+ * A friendly message for an error, to show instead of `error.message`
+ *
+ * Validation errors show the server's message, which names the problem with
+ * the input. Anything unrecognised gets a generic message.
+ *
+ * @param {Error} error - Error thrown by an API call
+ * @param {Object} overrides - Messages for specific codes on this screen
+ * @returns {string} User-facing message
+ */
+export function describeError(error, overrides = {}) {
+  const code = error?.code;
+  if (code && overrides[code]) {
+    return overrides[code];
+  }
+  if (error instanceof ValidationError && error.serverMessage) {
+    return error.serverMessage;
+  }
+  if (MESSAGES[code]) {
+    return MESSAGES[code];
+  }
+  // e.g. a proxy's 502 page, without the backend's envelope
+  if (error instanceof HttpError && error.status >= 500) {
+    return MESSAGES.internal_error;
+  }
+  return FALLBACK_MESSAGE;
+}
@@ -0,0 +1,145 @@
+// Declarative sampling and filtering for Sentry logs, configured in
+// src/config/logPolicy.json. Like scrubbing.js it has no SDK imports so it can
+// be tested with plain log objects.
+
+export const LOG_LEVELS = ['trace', 'debug', 'info', 'warn', 'error', 'fatal'];
+
+const MIN_LEVEL_RULE = 'minLevel';
+const DEFAULT_REPORT_INTERVAL_MS = 60000;
+
+function levelIndex(level) {
+  const index = LOG_LEVELS.indexOf(level);
+  if (index === -1) {
+    throw new Error(`Unknown log level "${level}", expected one of: ${LOG_LEVELS.join(', ')}`);
+  }
+  return index;
+}
+
+/**
+ * Resolve the policy for one environment
+ *
+ * Top-level settings from `environments[environment]` replace the defaults.
+ * Its rules replace default rules with the same name and are appended
+ * otherwise.
+ *
+ * @param {Object} config - Contents of logPolicy.json
+ * @param {string} environment - e.g. 'development' or 'production'
+ * @returns {Object} minLevel, reportIntervalMs and rules
+ */
+export function resolveLogPolicy(config, environment) {
+  const { environments = {}, rules = [], ...defaults } = config;
+  const { rules: overrideRules = [], ...overrides } = environments[environment] || {};
+
+  const merged = rules.map(rule => overrideRules.find(override => override.name === rule.name) || rule);
+  const added = overrideRules.filter(override => !rules.some(rule => rule.name === override.name));
+
+  return { ...defaults, ...overrides, rules: [...merged, ...added] };
+}
+
+// `match` compares `level` and `message` against the log itself and any other
+// key against its attributes. An array matches any of its values.
+function matches(rule, log) {
+  return Object.entries(rule.match || {}).every(([key, expected]) => {
+    const actual = key === 'level' || key === 'message' ? log[key] : log.attributes?.[key];
+    return Array.isArray(expected) ? expected.includes(actual) : actual === expected;
+  });
+}
+
+/**
+ * Create a log policy for Sentry's beforeSendLog
+ *
+ * A log is dropped when it is below the policy's minLevel, or when a matching
+ * rule drops it: below the rule's minLevel, faster than minDurationMs (read
+ * from `duration_ms`), not picked by sampleRate, or over rateLimit within the
+ * current interval. Logs that pass get each matching rule's `attributes`.
+ *
+ * @param {Object} config - Contents of logPolicy.json
+ * @param {Object} options
+ * @param {string} options.environment - Selects `environments[environment]` overrides
+ * @param {Function} options.random - Returns a number in [0, 1) for sampling
+ * @param {Function} options.now - Returns the current time in ms for rate limits
+ * @returns {Object} apply(log) and takeDroppedCounts(), plus the resolved reportIntervalMs
+ */
+export function createLogPolicy(config, { environment, random = Math.random, now = Date.now } = {}) {
+  const policy = resolveLogPolicy(config, environment);
+  const minLevel = levelIndex(policy.minLevel || 'trace');
+  const rules = policy.rules.map(rule => ({
+    ...rule,
+    minLevel: rule.minLevel === undefined ? undefined : levelIndex(rule.minLevel),
+  }));
+
+  // Rate limit windows per rule name: { start, count }
+  const windows = {};
+  let dropped = {};
+
+  const drop = (ruleName) => {
+    dropped[ruleName] = (dropped[ruleName] || 0) + 1;
+    return null;
+  };
+
+  // Logs with a level we don't know are never dropped for their level
+  const isBelow = (log, level) => {
+    const index = LOG_LEVELS.indexOf(log.level);
+    return index !== -1 && index < level;
+  };
+
+  const shouldDrop = (rule, log) => {
+    if (rule.minLevel !== undefined && isBelow(log, rule.minLevel)) {
+      return true;
+    }
+    const duration = log.attributes?.duration_ms;
+    if (rule.minDurationMs !== undefined && typeof duration === 'number' && duration < rule.minDurationMs) {
+      return true;
+    }
+    if (rule.sampleRate !== undefined && random() >= rule.sampleRate) {
+      return true;
+    }
+    if (rule.rateLimit) {
+      const current = now();
+      const window = windows[rule.name];
+      if (!window || current - window.start >= rule.rateLimit.intervalMs) {
+        windows[rule.name] = { start: current, count: 1 };
+      } else if (window.count >= rule.rateLimit.count) {
+        return true;
+      } else {
+        window.count += 1;
+      }
+    }
+    return false;
+  };
+
+  const apply = (log) => {
+    if (isBelow(log, minLevel)) {
+      return drop(MIN_LEVEL_RULE);
+    }
+
+    let attributes = log.attributes;
+    for (const rule of rules) {
+      if (!matches(rule, log)) continue;
+      if (shouldDrop(rule, log)) {
+        return drop(rule.name);
+      }
+      if (rule.attributes) {
+        attributes = { ...attributes, ...rule.attributes };
+      }
+    }
+    return attributes === log.attributes ? log : { ...log, attributes };
+  };
+
+  /**
+   * Counts of logs dropped per rule since the last call, then reset
+   *
+   * @returns {Object} Rule name to dropped count (`minLevel` for the global level)
+   */
+  const takeDroppedCounts = () => {
+    const counts = dropped;
+    dropped = {};
+    return counts;
+  };
+
+  return {
+    apply,
+    takeDroppedCounts,
+    reportIntervalMs: policy.reportIntervalMs || DEFAULT_REPORT_INTERVAL_MS,
+  };
+}
@@ -0,0 +1,156 @@
+import { useState } from 'react';
+import * as Sentry from '@sentry/react-native';
+
+/**
+ * Create the instrumentation helpers around a Sentry client
+ *
+ * The client only needs `logger`, `addBreadcrumb`, `captureException` and
+ * `startSpan`, so a fake one can be passed in to check what an operation
+ * reports.
+ *
+ * @param {Object} client - The Sentry SDK or a stand-in with the same methods
+ * @returns {Object} withOperation and the useOperation hook, bound to the client
+ */
+export function createInstrumentation(client) {
+  // Errors already reported by an inner operation are not captured again
+  const captured = new WeakSet();
+
+  /**
+   * Run `fn` as a named, fully instrumented operation
+   *
+   * Emits a start log and breadcrumb, a span around the work, and a success,
+   * failure or cancellation log and breadcrumb with `duration_ms`. Failures
+   * are captured once with the operation as a tag, then rethrown. Aborted
+   * operations (AbortError) are not reported as failures, and errors flagged
+   * `expected` (such as a 401) are logged as warnings but not captured.
+   *
+   * @param {string} name - Operation name, sent as the `operation` attribute and tag
+   * @param {Function} fn - Does the work; receives `{ span, setAttributes }` to add result attributes
+   * @param {Object} attributes - Added to every log, breadcrumb and the span
+   * @param {Object} options
+   * @param {string} options.description - Human-readable name for messages and the span (default `name`)
+   * @param {string} options.op - Span op (default 'function')
+   * @param {string} options.category - Breadcrumb category (default 'operation')
+   * @param {string} options.successLevel - Level of the success log (default 'info')
+   * @param {Object} options.tags - Extra tags for captured exceptions
+   * @param {Function} options.errorAttributes - Extra failure attributes derived from the error
+   * @returns {Promise<*>} Whatever `fn` returns
+   */
+  async function withOperation(name, fn, attributes = {}, options = {}) {
+    const {
+      description = name,
+      op = 'function',
+      category = 'operation',
+      successLevel = 'info',
+      tags = {},
+      errorAttributes = () => ({}),
+    } = options;
+    const base = { ...attributes, operation: name };
+    let results = {};
+
+    client.logger.debug(`${description} started`, { ...base, phase: 'start' });
+    client.addBreadcrumb({
+      category,
+      message: `${description} started`,
+      level: 'debug',
+      data: base,
+    });
+
+    const startTime = Date.now();
+
+    return client.startSpan({ name: description, op, attributes: base }, async (span) => {
+      try {
+        const result = await fn({
+          span,
+          setAttributes: (more) => {
+            results = { ...results, ...more };
+          },
+        });
+        const finished = { ...base, ...results, duration_ms: Date.now() - startTime };
+
+        client.logger[successLevel](`${description} succeeded`, { ...finished, phase: 'success' });
+        client.addBreadcrumb({
+          category,
+          message: `${description} succeeded`,
+          level: 'info',
+          data: finished,
+        });
+        return result;
+      } catch (error) {
+        const failed = {
+          ...base,
+          ...results,
+          duration_ms: Date.now() - startTime,
+          errorMessage: error.message,
+          errorType: error.name,
+          ...errorAttributes(error),
+        };
+
+        // Cancelled by the caller: nothing went wrong
+        if (error.name === 'AbortError') {
+          client.logger.debug(`${description} cancelled`, { ...failed, phase: 'cancelled' });
+          throw error;
+        }
+
+        // Expected failures are worth a warning, not an issue
+        const expected = error.expected === true;
+        client.logger[expected ? 'warn' : 'error'](`${description} failed`, { ...failed, phase: 'failure' });
+        client.addBreadcrumb({
+          category,
+          message: `${description} failed: ${error.message}`,
+          level: expected ? 'warning' : 'error',
+          data: failed,
+        });
+
+        if (!expected && error && typeof error === 'object' && !captured.has(error)) {
+          captured.add(error);
+          client.captureException(error, {
+            level: 'error',
+            tags: { operation: name, ...tags },
+            contexts: { operation: failed },
+          });
+        }
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Run an instrumented operation from a component and track its state
+   *
+   * `run(...args)` calls `fn(...args)` through withOperation. Failures are
+   * already reported, so `run` resolves with undefined instead of rejecting and
+   * the error is kept in `error` for the component to show.
+   *
+   * @param {string} name - Operation name
+   * @param {Function} fn - The work, called with run's arguments
+   * @param {Object} options - withOperation options, plus:
+   * @param {Function} options.attributes - Builds the operation attributes from run's arguments
+   * @returns {Object} run, running and error
+   */
+  function useOperation(name, fn, { attributes = () => ({}), ...options } = {}) {
+    const [running, setRunning] = useState(false);
+    const [error, setError] = useState(null);
+
+    const run = async (...args) => {
+      setRunning(true);
+      setError(null);
+      try {
+        return await withOperation(name, () => fn(...args), attributes(...args), options);
+      } catch (err) {
+        if (err.name !== 'AbortError') {
+          setError(err);
+        }
+        return undefined;
+      } finally {
+        setRunning(false);
+      }
+    };
+
+    return { run, running, error };
+  }
+
+  return { withOperation, useOperation };
+}
+
+export const { withOperation, useOperation } = createInstrumentation(Sentry);
@@ -0,0 +1,214 @@
+// PII scrubbing for everything the app sends to Sentry. Kept free of SDK
+// imports so it can be unit tested with plain objects.
+
+export const FILTERED = '[Filtered]';
+
+// Key fragments whose values are always masked, matched case-insensitively
+// against keys with separators removed (so `userEmail`, `api_key` and
+// `Authorization` are all caught)
+export const DEFAULT_SENSITIVE_KEYS = [
+  'password',
+  'passwd',
+  'secret',
+  'token',
+  'authorization',
+  'cookie',
+  'apikey',
+  'session',
+  'email',
+  'username',
+  'idempotencykey',
+];
+
+// Attribute and data keys that may pass through in allowlist mode. Their
+// values are still pattern-scrubbed.
+export const DEFAULT_ALLOWED_KEYS = [
+  'operation',
+  'phase',
+  'component',
+  'event',
+  'feature',
+  'screen',
+  'action',
+  'environment',
+  'release',
+  'timestamp',
+  'duration_ms',
+  'delay_ms',
+  'age_ms',
+  'method',
+  'endpoint',
+  'url',
+  'status',
+  'statusCode',
+  'status_code',
+  'attempt',
+  'attempts',
+  'maxAttempts',
+  'requestId',
+  'errorMessage',
+  'errorType',
+  'errorCode',
+  'errorSource',
+  'userId',
+  'catId',
+  'voteType',
+  'sort',
+  'count',
+  'queueDepth',
+  'queued',
+  'replayed',
+  'refreshed',
+  'dropped',
+  'online',
+  'connectionType',
+  'newState',
+  'droppedTotal',
+  'droppedByRule',
+  'reason',
+  // Navigation breadcrumbs
+  'from',
+  'to',
+];
+
+// Values that look like PII or credentials wherever they appear in a string
+const STRING_PATTERNS = [
+  // Email addresses
+  { pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi, replacement: '[email]' },
+  // Bearer credentials in headers or messages
+  { pattern: /\bBearer\s+[A-Za-z0-9._~+/-]+=*/gi, replacement: 'Bearer [token]' },
+  // JSON Web Tokens
+  { pattern: /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g, replacement: '[token]' },
+];
+
+const MAX_DEPTH = 8;
+
+function normalizeKey(key) {
+  return String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Create a scrubber for Sentry events, breadcrumbs and logs
+ *
+ * In `denylist` mode (the default) only sensitive keys are masked. In
+ * `allowlist` mode, meant for production, log attributes, breadcrumb data,
+ * tags and extras are masked unless their key is allowed. Either way, emails
+ * and tokens inside strings are replaced and the user is reduced to its id.
+ *
+ * @param {Object} options
+ * @param {string} options.mode - 'denylist' or 'allowlist'
+ * @param {Array<string>} options.sensitiveKeys - Extra key fragments to mask
+ * @param {Array<string>} options.allowedKeys - Extra keys allowed in allowlist mode
+ * @returns {Object} beforeSend, beforeBreadcrumb and beforeSendLog hooks, plus scrubValue
+ */
+export function createScrubber({ mode = 'denylist', sensitiveKeys = [], allowedKeys = [] } = {}) {
+  if (mode !== 'denylist' && mode !== 'allowlist') {
+    throw new Error(`Unknown scrubbing mode "${mode}", expected denylist or allowlist`);
+  }
+
+  const sensitive = [...DEFAULT_SENSITIVE_KEYS, ...sensitiveKeys].map(normalizeKey);
+  const allowed = new Set([...DEFAULT_ALLOWED_KEYS, ...allowedKeys].map(normalizeKey));
+
+  const isSensitiveKey = (key) => {
+    const normalized = normalizeKey(key);
+    return sensitive.some(fragment => normalized.includes(fragment));
+  };
+
+  // SDK-added keys (sentry.release, event.origin, ...) always pass
+  const isAllowedKey = (key) => /^(sentry|event)\./.test(key) || allowed.has(normalizeKey(key));
+
+  const scrubString = (value) => STRING_PATTERNS.reduce(
+    (result, { pattern, replacement }) => result.replace(pattern, replacement),
+    value
+  );
+
+  /**
+   * Scrub any value: strings are pattern-scrubbed, objects and arrays are
+   * walked and sensitive keys masked
+   *
+   * @param {*} value - Value to scrub
+   * @param {Object} options
+   * @param {boolean} options.restrictKeys - Also mask keys outside the allowlist (allowlist mode only)
+   * @returns {*} Scrubbed copy
+   */
+  const scrubValue = (value, { restrictKeys = false } = {}, depth = 0) => {
+    if (typeof value === 'string') {
+      return scrubString(value);
+    }
+    if (value === null || typeof value !== 'object') {
+      return value;
+    }
+    if (depth >= MAX_DEPTH) {
+      return FILTERED;
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => scrubValue(item, { restrictKeys }, depth + 1));
+    }
+
+    const restrict = restrictKeys && mode === 'allowlist';
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => {
+      if (isSensitiveKey(key) || (restrict && !isAllowedKey(key))) {
+        return [key, FILTERED];
+      }
+      return [key, scrubValue(entry, { restrictKeys }, depth + 1)];
+    }));
+  };
+
+  const scrubBreadcrumb = (breadcrumb) => ({
+    ...breadcrumb,
+    ...(breadcrumb.message && { message: scrubString(breadcrumb.message) }),
+    ...(breadcrumb.data && { data: scrubValue(breadcrumb.data, { restrictKeys: true }) }),
+  });
+
+  const beforeSend = (event) => {
+    const scrubbed = { ...event };
+
+    if (event.message) {
+      scrubbed.message = scrubString(event.message);
+    }
+    if (event.exception?.values) {
+      scrubbed.exception = {
+        ...event.exception,
+        values: event.exception.values.map(exception => ({
+          ...exception,
+          ...(exception.value && { value: scrubString(exception.value) }),
+        })),
+      };
+    }
+    if (event.user) {
+      // The id is enough to see which users were affected
+      scrubbed.user = event.user.id === undefined ? {} : { id: event.user.id };
+    }
+    if (event.request) {
+      scrubbed.request = scrubValue(event.request);
+    }
+    if (event.tags) {
+      scrubbed.tags = scrubValue(event.tags, { restrictKeys: true });
+    }
+    if (event.extra) {
+      scrubbed.extra = scrubValue(event.extra, { restrictKeys: true });
+    }
+    if (event.contexts) {
+      // Contexts include the SDK's device/os/trace data, so only sensitive
+      // keys are masked here even in allowlist mode
+      scrubbed.contexts = scrubValue(event.contexts);
+    }
+    if (event.breadcrumbs) {
+      scrubbed.breadcrumbs = event.breadcrumbs.map(scrubBreadcrumb);
+    }
+    return scrubbed;
+  };
+
+  const beforeSendLog = (log) => ({
+    ...log,
+    message: typeof log.message === 'string' ? scrubString(log.message) : log.message,
+    ...(log.attributes && { attributes: scrubValue(log.attributes, { restrictKeys: true }) }),
+  });
+
+  return {
+    beforeSend,
+    beforeBreadcrumb: scrubBreadcrumb,
+    beforeSendLog,
+    scrubValue,
+  };
+}
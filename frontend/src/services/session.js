@@ -0,0 +1,93 @@
+import * as SecureStore from 'expo-secure-store';
+import * as Sentry from '@sentry/react-native';
+import { loadJSON, saveJSON } from './storage';
+
+const SESSION_KEY = 'authSession';
+
+// SecureStore (Keychain/Keystore) is unavailable on web, where the session
+// falls back to regular app storage
+async function canUseSecureStore() {
+  try {
+    return await SecureStore.isAvailableAsync();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Read the persisted session
+ *
+ * @returns {Promise<Object|null>} userId, email, token and refreshToken, or null when signed out
+ */
+export async function loadSession() {
+  if (!(await canUseSecureStore())) {
+    return loadJSON(SESSION_KEY, null);
+  }
+
+  try {
+    const raw = await SecureStore.getItemAsync(SESSION_KEY);
+    return raw === null ? null : JSON.parse(raw);
+  } catch (error) {
+    Sentry.logger.warn("Failed to read session from secure storage", {
+      errorMessage: error.message,
+      operation: "loadSession",
+    });
+    return null;
+  }
+}
+
+/**
+ * Persist the session so the user stays signed in across restarts
+ *
+ * @param {Object} session - userId, email, token and refreshToken
+ */
+export async function saveSession(session) {
+  if (!(await canUseSecureStore())) {
+    await saveJSON(SESSION_KEY, session);
+    return;
+  }
+
+  try {
+    await SecureStore.setItemAsync(SESSION_KEY, JSON.stringify(session));
+  } catch (error) {
+    Sentry.logger.warn("Failed to write session to secure storage", {
+      errorMessage: error.message,
+      operation: "saveSession",
+    });
+  }
+}
+
+/**
+ * Forget the persisted session
+ */
+export async function clearSession() {
+  if (!(await canUseSecureStore())) {
+    await saveJSON(SESSION_KEY, null);
+    return;
+  }
+
+  try {
+    await SecureStore.deleteItemAsync(SESSION_KEY);
+  } catch (error) {
+    Sentry.logger.warn("Failed to clear session from secure storage", {
+      errorMessage: error.message,
+      operation: "clearSession",
+    });
+  }
+}
+
+/**
+ * Whether a JWT has expired (or can't be read), judged by its `exp` claim
+ *
+ * @param {string} token - JWT issued by the backend
+ * @returns {boolean} True when the token should not be used any more
+ */
+export function isTokenExpired(token) {
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    const { exp } = JSON.parse(atob(payload));
+    return typeof exp === 'number' && exp * 1000 <= Date.now();
+  } catch {
+    return true;
+  }
+}
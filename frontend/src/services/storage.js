@@ -0,0 +1,44 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Sentry from '@sentry/react-native';
+
+/**
+ * Read a JSON value persisted on the device
+ *
+ * Storage failures are logged and treated as "nothing stored" so a broken
+ * storage layer never blocks the app from loading.
+ *
+ * @param {string} key - Storage key
+ * @param {*} fallback - Value returned when nothing usable is stored
+ * @returns {Promise<*>} The stored value or the fallback
+ */
+export async function loadJSON(key, fallback) {
+  try {
+    const raw = await AsyncStorage.getItem(key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch (error) {
+    Sentry.logger.warn("Failed to read from storage", {
+      key,
+      errorMessage: error.message,
+      operation: "loadJSON",
+    });
+    return fallback;
+  }
+}
+
+/**
+ * Persist a JSON value on the device
+ *
+ * @param {string} key - Storage key
+ * @param {*} value - Any JSON-serializable value
+ */
+export async function saveJSON(key, value) {
+  try {
+    await AsyncStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    Sentry.logger.warn("Failed to write to storage", {
+      key,
+      errorMessage: error.message,
+      operation: "saveJSON",
+    });
+  }
+}
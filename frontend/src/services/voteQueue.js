@@ -0,0 +1,117 @@
+import { NetworkError } from './errors';
+import { loadJSON, saveJSON } from './storage';
+
+const QUEUE_KEY = 'offlineVoteQueue';
+
+// In-memory copy of the persisted queue, loaded lazily
+let queue = null;
+let replaying = false;
+
+async function getQueue() {
+  if (queue === null) {
+    queue = await loadJSON(QUEUE_KEY, []);
+  }
+  return queue;
+}
+
+/**
+ * Create a key identifying one vote across retries
+ *
+ * @returns {string} Random idempotency key
+ */
+export function createIdempotencyKey() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+/**
+ * Votes waiting to be sent, oldest first
+ *
+ * @returns {Promise<Array<Object>>} Queued votes
+ */
+export async function getQueuedVotes() {
+  return [...(await getQueue())];
+}
+
+/**
+ * Persist a vote made while offline
+ *
+ * The entry's idempotency key is sent with every replay attempt, so the
+ * backend applies the vote at most once even if an earlier attempt got through.
+ *
+ * @param {number} catId - Cat being voted on
+ * @param {string} voteType - 'upvote' or 'downvote'
+ * @param {string} idempotencyKey - Key already used for this vote, if any
+ * @returns {Promise<Object>} The queued entry and the new queue depth
+ */
+export async function enqueueVote(catId, voteType, idempotencyKey = createIdempotencyKey()) {
+  const current = await getQueue();
+  const entry = {
+    catId,
+    voteType,
+    idempotencyKey,
+    queuedAt: Date.now(),
+  };
+
+  queue = [...current, entry];
+  await saveJSON(QUEUE_KEY, queue);
+  return { entry, depth: queue.length };
+}
+
+/**
+ * Send queued votes in order
+ *
+ * Stops at the first network failure or cancellation so the remaining votes
+ * keep their order for the next attempt. Votes the server rejects are dropped.
+ *
+ * @param {Function} send - Sends one entry, resolving with the server response
+ * @returns {Promise<Object>} replayed and dropped entries, and remaining depth
+ */
+export async function replayQueue(send) {
+  const outcome = { replayed: [], dropped: [], remaining: 0, skipped: false };
+
+  if (replaying) {
+    return { ...outcome, skipped: true };
+  }
+  replaying = true;
+
+  try {
+    let current = await getQueue();
+
+    while (current.length > 0) {
+      const entry = current[0];
+
+      try {
+        const result = await send(entry);
+        outcome.replayed.push({ entry, result });
+      } catch (error) {
+        // Unreachable server or cancelled: keep the vote for the next replay
+        if (error instanceof NetworkError || error.name === 'AbortError') {
+          break;
+        }
+        outcome.dropped.push({ entry, error });
+      }
+
+      // Votes may have been queued while this one was in flight
+      queue = queue.filter(queued => queued.idempotencyKey !== entry.idempotencyKey);
+      current = queue;
+      await saveJSON(QUEUE_KEY, queue);
+    }
+
+    outcome.remaining = current.length;
+    return outcome;
+  } finally {
+    replaying = false;
+  }
+}
+
+/**
+ * Drop every queued vote, e.g. when the user who made them logs out
+ *
+ * @returns {Promise<number>} How many votes were dropped
+ */
+export async function clearQueuedVotes() {
+  const current = await getQueue();
+  queue = [];
+  await saveJSON(QUEUE_KEY, queue);
+  return current.length;
+}
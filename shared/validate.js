@@ -0,0 +1,153 @@
+// Validates values against the request schemas in schemas.json. The schemas
+// use a small subset of JSON Schema so they can also be published as OpenAPI:
+//
+//   type                  object, array, string, integer, number or boolean
+//   properties, required  for objects
+//   items, minItems, maxItems
+//   enum, minLength, maxLength, format (email, date-time, month)
+//   minimum, maximum
+//   default               filled in when the property is missing
+//   nullable              null is allowed (OpenAPI 3.0), e.g. in response bodies
+//
+// Shared by the backend and the app, so it is plain CommonJS with no
+// dependencies.
+
+const FORMATS = {
+  email: {
+    test: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value.trim()),
+    message: 'must be a valid email address',
+  },
+  'date-time': {
+    test: (value) => !Number.isNaN(new Date(value).getTime()),
+    message: 'must be an ISO 8601 date',
+  },
+  month: {
+    test: (value) => /^\d{4}-(0[1-9]|1[0-2])$/.test(value),
+    message: 'must be in YYYY-MM format',
+  },
+};
+
+const ARTICLES = { integer: 'an', array: 'an', object: 'an' };
+
+// Query strings and route params are always strings; with `coerce` they are
+// converted to the schema's type when they spell one
+function coerceValue(schema, value) {
+  if (typeof value !== 'string') return value;
+  if ((schema.type === 'integer' || schema.type === 'number') && /^-?\d+(\.\d+)?$/.test(value)) {
+    return Number(value);
+  }
+  if (schema.type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+function check(schema, value, field, options, errors) {
+  const fail = (message) => {
+    errors.push({ field, message });
+    return value;
+  };
+
+  if (value === null && schema.nullable) {
+    return value;
+  }
+
+  const coerced = options.coerce ? coerceValue(schema, value) : value;
+  if (schema.type && !matchesType(schema.type, coerced)) {
+    return fail(`must be ${ARTICLES[schema.type] || 'a'} ${schema.type}`);
+  }
+
+  if (schema.enum && !schema.enum.includes(coerced)) {
+    return fail(`must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof coerced === 'string') {
+    if (schema.minLength !== undefined && coerced.length < schema.minLength) {
+      return fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && coerced.length > schema.maxLength) {
+      return fail(`must be at most ${schema.maxLength} characters`);
+    }
+    const format = FORMATS[schema.format];
+    if (format && !format.test(coerced)) {
+      return fail(format.message);
+    }
+  }
+
+  if (typeof coerced === 'number') {
+    if (schema.minimum !== undefined && coerced < schema.minimum) {
+      return fail(`must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && coerced > schema.maximum) {
+      return fail(`must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(coerced)) {
+    if (schema.minItems !== undefined && coerced.length < schema.minItems) {
+      return fail(`must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    }
+    if (schema.maxItems !== undefined && coerced.length > schema.maxItems) {
+      return fail(`must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      return coerced.map((item, index) => check(schema.items, item, `${field}[${index}]`, options, errors));
+    }
+  }
+
+  if (schema.properties && matchesType('object', coerced)) {
+    const result = { ...coerced };
+    Object.entries(schema.properties).forEach(([name, property]) => {
+      const path = field ? `${field}.${name}` : name;
+      const missing = coerced[name] === undefined || (coerced[name] === null && !property.nullable);
+      if (missing) {
+        if (property.default !== undefined) {
+          result[name] = property.default;
+        } else if ((schema.required || []).includes(name)) {
+          errors.push({ field: path, message: 'is required' });
+        }
+        return;
+      }
+      result[name] = check(property, coerced[name], path, options, errors);
+    });
+    return result;
+  }
+
+  return coerced;
+}
+
+/**
+ * Validate a value against a schema
+ *
+ * @param {Object} schema - Schema from schemas.json
+ * @param {*} value - Value to check, e.g. a request body
+ * @param {Object} options
+ * @param {boolean} options.coerce - Convert strings to the schema's types (for query strings)
+ * @returns {Object} `value` with defaults filled in (and coerced), and `errors`:
+ *   one `{ field, message }` per problem, empty when valid
+ */
+function validate(schema, value, { coerce = false } = {}) {
+  const errors = [];
+  const result = check(schema, value === undefined ? {} : value, '', { coerce }, errors);
+  return { value: result, errors };
+}
+
+module.exports = {
+  FORMATS,
+  validate,
+};